@@ -116,6 +116,75 @@ const otherMessages = [
     `If you want to move a mountain, start with the small stones`,
 ];
 
+// Why the round ended (stopReason from stopGame, see STOP_REASONS in main.js).
+// Completed rounds are covered by the full 40 rounds insight
+const stopReasonMessages = {
+    mastery: [
+        `Strong enough at max load to finish early`,
+        `Mastery shown. No need to play it out`,
+    ],
+    sprt: [
+        `Tough stretch. The next round starts a notch easier`,
+        `Ended early so you can reset. Next round is lighter`,
+    ],
+    errorBurst: [
+        `A few misses in a row. Next round starts easier`,
+        `Errors piled up. Take a breath, next round is lighter`,
+    ],
+    manualDifficulty: [
+        `Good call stopping. Next round starts easier`,
+        `Too much for now. The next round eases off`,
+    ],
+    manual: [
+        `Short round. Every trial still counts`,
+        `Stopped early. Pick it up whenever you're ready`,
+    ],
+};
+
+// Clicks faster than a tile can be judged (anticipations), several per round
+const ANTICIPATION_INSIGHT_MIN = 3;
+
+const anticipationMessages = [
+    `You're guessing the rhythm. Wait until you see the color`,
+    `Some clicks came before the tile did. Look first, then click`,
+    `Clicking on the beat isn't n-back. Check the color first`,
+];
+
+const liberalBiasMessages = [
+    `Quick trigger lately. Wait until you're sure it's a match`,
+    `Many false alarms recently. Hold back a beat before clicking`,
+    `Not every familiar color is a match. Check the N back position`,
+];
+
+const conservativeBiasMessages = [
+    `You hold back a lot. Trust your gut on matches`,
+    `A missed match costs as much as a false alarm. Click more`,
+    `You're playing it safe. Fewer misses is the next step`,
+];
+
+// ------------------ Response Bias ------------------
+
+const BIAS_MIN_DAY_DECISIONS = 40;      // days with fewer decisions are too noisy
+const BIAS_MIN_DAYS = 3;                // biased days needed (out of the last 7 played)
+
+// Chronic bias: the criterion c of most recent days points the same way.
+// Returns 'liberal', 'conservative' or null
+function getChronicBias() {
+    const days = [...performanceHistory.entries()]
+        .filter(([, entry]) => entry.criterion !== undefined
+            && entry.hits + entry.misses + entry.falseAlarms + entry.correctRejections >= BIAS_MIN_DAY_DECISIONS)
+        .sort((a, b) => b[0].localeCompare(a[0]))
+        .slice(0, 7)
+        .map(([, entry]) => entry.criterion);
+
+    const liberalDays = days.filter(c => c <= -BIAS_CRITERION_THRESHOLD).length;
+    const conservativeDays = days.filter(c => c >= BIAS_CRITERION_THRESHOLD).length;
+
+    if (liberalDays >= BIAS_MIN_DAYS && liberalDays > days.length / 2) return 'liberal';
+    if (conservativeDays >= BIAS_MIN_DAYS && conservativeDays > days.length / 2) return 'conservative';
+    return null;
+}
+
 // Count how many consecutive days (including today) the player has played
 function getConsecutiveDaysStreak() {
     const today = new Date();
@@ -134,7 +203,7 @@ function getConsecutiveDaysStreak() {
 }
 
 // Catalog of possible insights with priority weights
-function generatePositiveInsight(accuracy, roundsPlayed, easyMemoryLoad) {
+function generatePositiveInsight(accuracy, roundsPlayed, easyMemoryLoad, stopReason = 'completed') {
     const insights = [];
 
     // 1. Longest streak
@@ -274,8 +343,12 @@ function generatePositiveInsight(accuracy, roundsPlayed, easyMemoryLoad) {
     }
 
     // 12. Good correct rejection rate (knew when NOT to click)
-    const nonMatches = roundsPlayed - totalTargets;
-    const correctRejections = nonMatches - incorrectMatches;
+    // (unanswered non matches in two button mode are omissions, not restraint,
+    // rejected trials are left out like everywhere else)
+    const rejectedTrials = getCurrentRoundTrials().filter(t => t.rejected).length;
+    const nonMatches = roundsPlayed - totalTargets - rejectedTrials;
+    const unansweredNonMatches = getCurrentRoundTrials().filter(t => t.omission && !t.wasMatch).length;
+    const correctRejections = nonMatches - incorrectMatches - unansweredNonMatches;
     if (nonMatches >= 5 && correctRejections / nonMatches >= 0.95) {
         insights.push({
             text: `Great restraint: knew when to hold back`,
@@ -287,7 +360,7 @@ function generatePositiveInsight(accuracy, roundsPlayed, easyMemoryLoad) {
     const roundTrials = getCurrentRoundTrials();
     if (roundTrials.length >= 5) {
         const peakLoad = Math.max(...roundTrials.map(t => t.currentLoad));
-        const maxPossible = n + 1;
+        const maxPossible = getMaxUniqueColors();
         if (peakLoad >= maxPossible * 0.8) {
             insights.push({
                 text: `Handled near-max memory load`,
@@ -350,6 +423,42 @@ function generatePositiveInsight(accuracy, roundsPlayed, easyMemoryLoad) {
         });
     }
 
+    // 18. Chronic response bias, only when this round leans the same way
+    const chronicBias = getChronicBias();
+    const roundCriterion = nbackEngine ? nbackEngine.getStats().criterion : null;
+    if (chronicBias === 'liberal' && roundCriterion !== null && roundCriterion < 0 && roundsPlayed >= 10) {
+        insights.push({
+            text: liberalBiasMessages[Math.floor(Math.random() * liberalBiasMessages.length)],
+            priority: 8
+        });
+    } else if (chronicBias === 'conservative' && roundCriterion !== null && roundCriterion > 0 && roundsPlayed >= 10) {
+        insights.push({
+            text: conservativeBiasMessages[Math.floor(Math.random() * conservativeBiasMessages.length)],
+            priority: 8
+        });
+    }
+
+    // 19. Why the round ended early. Rounds the engine cut short outrank the
+    // usual praise, the player should know the next round was eased
+    const reasonMessages = stopReasonMessages[stopReason];
+    if (reasonMessages) {
+        const eased = STOP_REASONS[stopReason].eased;
+        insights.push({
+            text: reasonMessages[Math.floor(Math.random() * reasonMessages.length)],
+            priority: eased ? 11 : stopReason === 'mastery' ? 10 : 2
+        });
+    }
+
+    // 20. Clicking before the tiles could be judged: guessing from the rhythm.
+    // Outranks even a perfect round, the accuracy leaves those clicks out
+    const anticipations = summarizeRejections(getCurrentRoundTrials()).anticipation;
+    if (anticipations >= ANTICIPATION_INSIGHT_MIN) {
+        insights.push({
+            text: anticipationMessages[Math.floor(Math.random() * anticipationMessages.length)],
+            priority: 13
+        });
+    }
+
     // 24. Time and day aware messages
     const now = new Date();
     const hour = now.getHours();
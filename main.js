@@ -14,24 +14,30 @@ const IS_LOCAL_HOST = window.location.hostname === "localhost" || window.locatio
 
 // ------------------ Config ------------------
 
-const COLORS = [
-    { color: "#0000FF", rank: 1, name: "blue" },
-    { color: "#9D00FF", rank: 2, name: "purple" },
-    { color: "#23AE3A", rank: 3, name: "green" },
-    { color: "#FFDE21", rank: 4, name: "yellow" },
-    { color: "#FFA500", rank: 5, name: "orange" },
-    { color: "#895129", rank: 6, name: "brown" },
-    { color: "#CD1C18", rank: 7, name: "red" },
-    { color: "#0C0A09", rank: 8, name: "black" }
-];
+// Stimulus colors come from the active palette (palettes.js)
+let activePalette = getPalette(loadSelectedPaletteId());
+let COLORS = activePalette.colors;
+
+// Fixed UI colors for the memory load traffic light, independent of the palette
+const LOAD_COLORS = { easy: "#23AE3A", medium: "#FFA500", hard: "#CD1C18" };
 
 // Create color mappings
 const COLOR_NAME_TO_HEX = {};
 const COLOR_HEX_TO_NAME = {};
-COLORS.forEach(c => {
-    COLOR_NAME_TO_HEX[c.name] = c.color;
-    COLOR_HEX_TO_NAME[c.color] = c.name;
-});
+function rebuildColorMappings() {
+    Object.keys(COLOR_NAME_TO_HEX).forEach(key => delete COLOR_NAME_TO_HEX[key]);
+    Object.keys(COLOR_HEX_TO_NAME).forEach(key => delete COLOR_HEX_TO_NAME[key]);
+    COLORS.forEach(c => {
+        COLOR_NAME_TO_HEX[c.name] = c.color;
+        COLOR_HEX_TO_NAME[c.color] = c.name;
+    });
+}
+rebuildColorMappings();
+
+// Highest unique color count for N on the active palette (mirrors DifficultyController)
+function getMaxUniqueColors(nLevel = n) {
+    return Math.min(nLevel + 1, COLORS.length - 1);
+}
 
 let rounds = 0;
 const TOTAL_ROUNDS = 40;
@@ -61,11 +67,13 @@ function getAdaptiveDisplayTime() {
 class ReactionTimer {
     constructor() {
         this.stimulusTime = null;
+        this.previousStimulusTime = null; // onset of the tile before (late click analytics)
         this.filter = new LowPassFilter(0.1);
         this.currentAvg = 500; // initial estimate
     }
 
     startTrial() {
+        this.previousStimulusTime = this.stimulusTime;
         this.stimulusTime = performance.now();
     }
 
@@ -73,18 +81,196 @@ class ReactionTimer {
         if (this.stimulusTime === null) {
             return 500; // fallback if no trial started
         }
-        const reactionTime = performance.now() - this.stimulusTime;
+        const reactionTime = this.elapsed();
         this.currentAvg = this.filter.apply(this.currentAvg, reactionTime);
         return reactionTime;
     }
 
+    // Time since the stimulus, without touching the match click average
+    elapsed() {
+        if (this.stimulusTime === null) {
+            return 500; // fallback if no trial started
+        }
+        return performance.now() - this.stimulusTime;
+    }
+
+    // Time since the tile before the current one, null without one
+    sincePrevious() {
+        if (this.previousStimulusTime === null) return null;
+        return performance.now() - this.previousStimulusTime;
+    }
+
     recordNonResponse() {
         // User didn't click, count full interval time
         return INTERVAL_TIME;
     }
 
+    // The tile was painted at this time (StimulusScheduler), later than the
+    // code that showed it ran. Reaction times count from the paint.
+    setOnset(time) {
+        if (this.stimulusTime !== null) this.stimulusTime = time;
+    }
+
     reset() {
         this.stimulusTime = null;
+        this.previousStimulusTime = null;
+    }
+}
+
+// ------------------ Stimulus Scheduler ------------------
+
+// Tiles appear and disappear on animation frames instead of chained
+// timeouts. Onsets follow a fixed timeline (each planned one interval after
+// the previous plan, not after the previous actual onset), so late frames do
+// not add up, and each lands on the frame closest to its plan. A change made
+// in a frame callback is painted with that frame: the next callback's
+// timestamp is the measured onset (offset). Frames missed or stalled between
+// a tile's onset and the answer (or the next tile) flag its timing, RT and
+// the decision are then unreliable. Later stalls do not touch the answer.
+const LONG_FRAME_MS = 50;        // one frame this long stalls what the player sees and does
+const DROPPED_FRAMES_LIMIT = 3;  // more frames missed in one trial flag it
+const RESYNC_AFTER_MS = 1000;    // this far behind the timeline, restart it from now
+
+// Timestamps are kept with every trial, 0.1ms is plenty
+function roundTime(ms) {
+    return Math.round(ms * 10) / 10;
+}
+
+class StimulusScheduler {
+    constructor() {
+        this.frameId = null;
+        this.lastFrameTime = null;
+        this.frameDuration = 1000 / 60; // follows the measured frame gaps
+        this.nextOnsetAt = null; // planned onset of the next tile
+        this.offsetAt = null; // offset of the tile showing, set once its onset is measured
+        this.displayTime = null;
+        this.onOffset = null;
+        this.hooks = null; // { onOnset, onPainted, getInterval }
+        this.painted = null; // 'onset' or 'offset' changed in the last frame
+        this.timing = null; // timing record of the current trial
+    }
+
+    isRunning() {
+        return this.frameId !== null;
+    }
+
+    // Start the frame loop, first onset after delay ms. hooks.onOnset shows a
+    // tile, hooks.onPainted(timing) gets its measured onset, hooks.getInterval
+    // gives the time between onsets
+    start(delay, hooks) {
+        this.stop();
+        this.hooks = hooks;
+        this.nextOnsetAt = performance.now() + delay;
+        this.frameId = requestAnimationFrame(ts => this.tick(ts));
+    }
+
+    stop() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        this.lastFrameTime = null;
+        this.nextOnsetAt = null;
+        this.painted = null;
+        this.cancelOffset();
+    }
+
+    // Hide the tile just shown displayTime ms after its measured onset
+    scheduleOffset(displayTime, onOffset) {
+        this.displayTime = displayTime;
+        this.onOffset = onOffset;
+        this.offsetAt = null;
+    }
+
+    cancelOffset() {
+        this.displayTime = null;
+        this.offsetAt = null;
+        this.onOffset = null;
+    }
+
+    // Interval changed (debug speed toggle): plan the next onset from the last one
+    replan() {
+        if (this.nextOnsetAt === null || !this.timing) return;
+        this.nextOnsetAt = this.timing.plannedOnset + this.hooks.getInterval();
+    }
+
+    tick(ts) {
+        this.frameId = requestAnimationFrame(t => this.tick(t));
+
+        if (this.lastFrameTime !== null) this.trackFrame(ts - this.lastFrameTime);
+        this.lastFrameTime = ts;
+
+        // What changed in the previous frame is on screen now
+        if (this.painted === 'onset') {
+            this.timing.onset = roundTime(ts);
+            this.timing.onsetLag = Math.round(ts - this.timing.plannedOnset);
+            if (this.displayTime !== null) this.offsetAt = ts + this.displayTime;
+            if (this.hooks.onPainted) this.hooks.onPainted(this.timing);
+        } else if (this.painted === 'offset') {
+            this.timing.offset = roundTime(ts);
+            this.timing.displayMs = Math.round(ts - this.timing.onset);
+        }
+        this.painted = null;
+
+        // A change made now is painted with the next frame: act on the frame
+        // whose paint lands closest to the planned time
+        const paintAt = ts + this.frameDuration;
+        const halfFrame = this.frameDuration / 2;
+
+        if (this.offsetAt !== null && paintAt + halfFrame >= this.offsetAt) {
+            const onOffset = this.onOffset;
+            this.cancelOffset();
+            if (onOffset) onOffset();
+            this.painted = 'offset';
+        }
+
+        if (this.nextOnsetAt !== null && paintAt + halfFrame >= this.nextOnsetAt) {
+            // Far behind (throttled tab or device): restart the timeline here
+            // instead of showing tiles back to back to catch up
+            const plannedOnset = paintAt - this.nextOnsetAt > RESYNC_AFTER_MS ? paintAt : this.nextOnsetAt;
+            this.timing = {
+                plannedOnset: roundTime(plannedOnset),
+                onset: null,
+                offset: null,
+                onsetLag: null,
+                displayMs: null,
+                droppedFrames: 0,
+                longestFrame: 0,
+                flagged: false,
+                responseAt: null // answer to this tile, frames stop counting
+            };
+            this.nextOnsetAt = null;
+            this.painted = 'onset';
+            this.hooks.onOnset();
+
+            // The onset may have ended the round
+            if (this.frameId === null) return;
+            this.nextOnsetAt = plannedOnset + this.hooks.getInterval();
+        }
+    }
+
+    // The tile showing was answered. A stall still running when the answer
+    // came in delayed it and counts, frames after it do not
+    endResponse() {
+        if (this.lastFrameTime !== null) this.trackStall(performance.now() - this.lastFrameTime);
+        if (this.timing && this.timing.onset !== null && this.timing.responseAt === null) {
+            this.timing.responseAt = roundTime(performance.now());
+        }
+    }
+
+    trackFrame(gap) {
+        if (gap < this.frameDuration * 1.5) {
+            this.frameDuration += 0.1 * (gap - this.frameDuration);
+        }
+        this.trackStall(gap);
+    }
+
+    // Frame gap while a tile waits for its answer: count missed frames and
+    // the longest stall
+    trackStall(gap) {
+        const timing = this.timing;
+        if (!timing || timing.onset === null || timing.responseAt !== null) return;
+        timing.droppedFrames += Math.max(0, Math.round(gap / this.frameDuration) - 1);
+        timing.longestFrame = Math.max(timing.longestFrame, Math.round(gap));
+        timing.flagged = timing.longestFrame > LONG_FRAME_MS || timing.droppedFrames > DROPPED_FRAMES_LIMIT;
     }
 }
 
@@ -92,7 +278,6 @@ class ReactionTimer {
 
 let n = 1;
 let index = 0;
-let intervalId = null;
 let isRunning = false;
 
 let correctMatches = 0;
@@ -112,7 +297,6 @@ let missedShakeTimerId = null; // pending headshake timeout for missed match
 let missedShakeActive = false; // true while headshake animation is playing
 let falsePositiveLocked = false; // true if current round was locked by a false positive
 let coloredCellVisible = false; // track if colored cell is currently visible
-let hideTimeout = null; // track timeout for hiding colored cell
 let speedMultiplier = 1; // 1 = normal speed, 2 = double speed
 let deactivatedCells = []; // indices of cells that are hidden for this game (0-8)
 
@@ -126,15 +310,30 @@ let layoutPlayTimeStart = 0; // accumulated play time when current layout was cr
 let cellHidingActive = false; // whether cell hiding is currently active
 
 const AWAY_THRESHOLD = 10 * 60 * 1000; // 10 minutes in ms
+const THETA_VARIANCE_PER_HOUR = 0.01; // uncertainty added per hour away
 
 // N-Back Engine
 let nbackEngine = null;
 let reactionTimer = new ReactionTimer(); // track reaction times
+const stimulusScheduler = new StimulusScheduler(); // frame aligned tile onsets and offsets
 
 // Trial history: Map<roundId, Trial[]> - each round has its own array of trials
 const MAX_ROUNDS_STORED = 50; // keep last 50 rounds
 let trialHistory = new Map();
 let currentRoundId = 0;
+let roundAudits = new Map(); // Map<roundId, SequenceAuditor report>, pruned with trialHistory
+let roundStopReasons = new Map(); // Map<roundId, STOP_REASONS key>, pruned with trialHistory
+
+// Why a round ended: banner text, and whether the engine eased difficulty
+// for the next round because of it
+const STOP_REASONS = {
+    completed: { text: 'All trials played', eased: false },
+    mastery: { text: 'Finished early: mastery shown at max load', eased: false },
+    sprt: { text: 'Stopped early: performance kept dropping', eased: true },
+    errorBurst: { text: 'Stopped early: several errors in a row', eased: true },
+    manualDifficulty: { text: 'Stopped by you, it looked too hard', eased: true },
+    manual: { text: 'Stopped by you', eased: false }
+};
 
 // Performance tracking: Map<dateStr, PerformanceData> - daily aggregates
 // includes heatmap (playTime) and progress (hits, misses, etc.)
@@ -143,28 +342,126 @@ let performanceHistory = new Map();
 let pendingPerformance = null; // in memory until stopGame saves it
 let pendingPerformanceDate = null; // which date this pending data belongs to
 
+// Profiles are per N level and per palette: difficulty learned on one set
+// of colors does not carry over to another. The default palette keeps the
+// original key so existing profiles stay valid.
+function getProfileKey(nLevel) {
+    return activePalette.id === DEFAULT_PALETTE_ID
+        ? `nbackProfile_${nLevel}`
+        : `nbackProfile_${activePalette.id}_${nLevel}`;
+}
+
+// ------------------ Schema Migrations ------------------
+
+// Every persisted structure carries a schemaVersion. Loading runs the
+// migration chain (migrateSchema in nbackEngine.js), data that cannot be
+// migrated is backed up and reported instead of silently dropped.
+const TRIAL_HISTORY_SCHEMA_VERSION = 4;
+const PERFORMANCE_HISTORY_SCHEMA_VERSION = 2;
+const CELL_HIDING_SCHEMA_VERSION = 2;
+
+const TRIAL_HISTORY_MIGRATIONS = {
+    // v1 -> v2: unversioned { rounds, currentRoundId }
+    1: data => ({ rounds: data.rounds, currentRoundId: data.currentRoundId || 0 }),
+    // v2 -> v3: sequence audit per round
+    2: data => ({ ...data, roundAudits: [] }),
+    // v3 -> v4: why each round ended (older rounds have no reason)
+    3: data => ({ ...data, roundStopReasons: [] })
+};
+
+const PERFORMANCE_HISTORY_MIGRATIONS = {
+    // v1 -> v2: bare array of [date, entry] pairs becomes { days }
+    1: data => ({ days: data })
+};
+
+const CELL_HIDING_MIGRATIONS = {
+    // v1 -> v2: unversioned state, same fields
+    1: data => data
+};
+
+let storageIssues = []; // [{ key, label, reason, backupKey }] found while loading
+
+// Keep the unreadable value under a backup key, drop the original so it is
+// not reported again on every load, and tell the player
+function reportUnrecoverable(key, label, reason, raw) {
+    const backupKey = `${key}_unrecoverable`;
+    try {
+        if (raw !== null && raw !== undefined) localStorage.setItem(backupKey, raw);
+        localStorage.removeItem(key);
+    } catch (e) {
+        console.error(`Failed to back up ${key}:`, e);
+    }
+
+    storageIssues.push({ key, label, reason, backupKey });
+    console.warn(`Unrecoverable ${label} (${key}): ${reason}. Backup in ${backupKey}`);
+    showStorageNotice();
+}
+
+// Some entries of a collection were unusable, the rest loaded fine
+function reportDroppedEntries(key, label, count) {
+    if (count === 0) return;
+    storageIssues.push({ key, label, reason: `${count} unreadable entr${count === 1 ? 'y' : 'ies'} skipped`, backupKey: null });
+    console.warn(`${label} (${key}): skipped ${count} unreadable entries`);
+    showStorageNotice();
+}
+
+function showStorageNotice() {
+    const notice = document.getElementById("storageNotice");
+    if (!notice || storageIssues.length === 0) return;
+
+    notice.innerHTML = `
+        Some saved data could not be loaded and was reset:
+        <ul></ul>
+        <span class="storage-notice-hint">A copy was kept. Tap to dismiss.</span>`;
+
+    // Reasons are parser messages that can quote the stored text, set them
+    // as text rather than markup
+    const list = notice.querySelector("ul");
+    storageIssues.forEach(issue => {
+        const item = document.createElement("li");
+        item.textContent = `${issue.label}: ${issue.reason}`;
+        list.appendChild(item);
+    });
+    notice.style.display = "block";
+    notice.onclick = () => {
+        notice.style.display = "none";
+    };
+}
+
 // Load per N level profile from localStorage.
 // Creates a fresh engine and warm starts it with saved data.
 // Recency data (rolling windows) is only restored if the profile is fresh.
 function loadNBackProfile(nLevel) {
-    try {
-        const raw = localStorage.getItem(`nbackProfile_${nLevel}`);
-        if (!raw) return null;
+    const key = getProfileKey(nLevel);
+    const raw = localStorage.getItem(key);
+    if (!raw) return null;
 
-        const profile = JSON.parse(raw);
-        if (!profile.strategic) return null;
+    let profile;
+    try {
+        profile = migrateProfile(JSON.parse(raw));
+    } catch (e) {
+        reportUnrecoverable(key, `${nLevel}-back profile`, e.message, raw);
+        return null;
+    }
 
+    try {
         const engine = new NBackEngine({ startN: nLevel, colors: COLORS });
 
         const gapMs = Date.now() - (profile.savedAt || 0);
         const recencyOk = gapMs < AWAY_THRESHOLD;
 
-        // Decay strategic state toward baseline for extended absences.
-        // Linear: starts immediately, full reset at 96h (4 days).
+        // Decay strategic state toward baseline for extended absences, along
+        // this player's forgetting curve for this N once enough breaks were
+        // measured. Before that the fixed rule: linear, full reset at 96h.
         // 8h: ~8%, 12h: ~12.5%, 24h: 25%, 48h: 50%, 96h+: 100%
         const gapHours = gapMs / (1000 * 60 * 60);
+        const forgettingCurve = new ForgettingCurve();
+        forgettingCurve.restore(profile.strategic.forgettingCurve);
+        const decay = forgettingCurve.getDecay(gapHours);
+        const thetaBefore = profile.strategic.theta;
+        const varianceBefore = profile.strategic.thetaVariance;
         if (gapHours > 0) {
-            const decayFactor = Math.min(1, gapHours / 96);
+            const decayFactor = decay.factor;
 
             profile.strategic.theta = profile.strategic.theta + (1.5 - profile.strategic.theta) * decayFactor;
             profile.strategic.targetEntropy = profile.strategic.targetEntropy * (1 - decayFactor);
@@ -175,14 +472,27 @@ function loadNBackProfile(nLevel) {
             // K decays toward min (2). Round down so partial decay never increases K
             const decayedK = profile.strategic.currentUniqueColors + (2 - profile.strategic.currentUniqueColors) * decayFactor;
             profile.strategic.currentUniqueColors = Math.max(2, Math.round(decayedK));
+
+            // Time away makes the ability estimate less certain. Grow the
+            // variance per hour of absence, never beyond the prior
+            if (profile.strategic.thetaVariance !== undefined) {
+                profile.strategic.thetaVariance = Math.min(
+                    THETA_PRIOR_VARIANCE,
+                    profile.strategic.thetaVariance + THETA_VARIANCE_PER_HOUR * gapHours
+                );
+            }
         }
 
         engine.warmStart(
             profile.strategic,
-            recencyOk ? profile.recency : null
+            recencyOk ? profile.recency : null,
+            profile.rng
         );
 
-        console.log(`Loaded ${nLevel}-back profile (${recencyOk ? 'full' : 'strategic only'}, gap ${Math.round(gapMs / 1000)}s, decay ${(Math.min(1, gapHours / 96) * 100).toFixed(1)}%)`);
+        // The first trials after the break feed the forgetting curve
+        engine.startBreakProbe(gapHours, thetaBefore, varianceBefore);
+
+        console.log(`Loaded ${nLevel}-back profile (${recencyOk ? 'full' : 'strategic only'}, gap ${Math.round(gapMs / 1000)}s, decay ${(Math.max(0, decay.factor) * 100).toFixed(1)}% ${decay.source})`);
         return engine;
 
     } catch (e) {
@@ -197,12 +507,38 @@ function saveNBackProfile(nLevel) {
 
     try {
         const profile = nbackEngine.toJSON();
-        localStorage.setItem(`nbackProfile_${nLevel}`, JSON.stringify(profile));
+        localStorage.setItem(getProfileKey(nLevel), JSON.stringify(profile));
     } catch (e) {
         console.error('Failed to save nback profile:', e);
     }
 }
 
+// ------------------ Engine Events ------------------
+
+// Recent engine events for the debug panel (newest last)
+const MAX_ENGINE_EVENTS_SHOWN = 5;
+let engineEventLog = [];
+let listenedEngine = null; // engine the UI is currently subscribed to
+
+function logEngineEvent(text) {
+    engineEventLog.push(`#${rounds} ${text}`);
+    if (engineEventLog.length > MAX_ENGINE_EVENTS_SHOWN) engineEventLog.shift();
+    if (IS_LOCAL_HOST) console.log(`Engine: ${text}`);
+}
+
+// Subscribe the UI to a (new) engine instance. Safe to call repeatedly
+function attachEngineListeners(engine) {
+    if (!engine || engine === listenedEngine) return;
+    listenedEngine = engine;
+
+    engine.on('response', () => updateStatsDisplay());
+    engine.on('kChanged', e => logEngineEvent(`K ${e.from} → ${e.to}${e.reason !== 'response' ? ` (${e.reason})` : ''}`));
+    engine.on('phaseChanged', e => logEngineEvent(`Phase ${e.from} → ${e.to}`));
+    engine.on('sustainFailed', e => logEngineEvent(`Sustain failed, K ${e.from} → ${e.to} (fallbacks ${e.fallbackCount})`));
+    engine.on('sprtDecision', e => logEngineEvent(`SPRT ${e.to} (logLR ${e.logLR.toFixed(2)}, P(θ<H0) ${(e.posteriorBelowH0 * 100).toFixed(0)}%)`));
+    engine.on('masteryDecision', e => logEngineEvent(`Mastery ${e.to} (evidence ${formatEvidenceRatio(e.evidenceRatio)})`));
+}
+
 // Prune Map to keep only most recent entries (Maps preserve insertion order)
 function pruneMap(map, maxSize) {
     let deleteCount = map.size - maxSize;
@@ -215,16 +551,27 @@ function pruneMap(map, maxSize) {
 // ================== Trial History (Map<roundId, Trial[]>) ==================
 
 function loadTrialHistory() {
+    const saved = localStorage.getItem('trialHistory');
+    if (!saved) return;
+
     try {
-        const saved = localStorage.getItem('trialHistory');
-        if (saved) {
-            const data = JSON.parse(saved);
-            trialHistory = new Map(data.rounds || []);
-            currentRoundId = data.currentRoundId || 0;
-        }
+        const data = migrateSchema(JSON.parse(saved), TRIAL_HISTORY_SCHEMA_VERSION, TRIAL_HISTORY_MIGRATIONS);
+        if (!Array.isArray(data.rounds)) throw new Error('rounds is not a list');
+
+        // Keep every round that still looks like [roundId, trials[]]
+        const rounds = data.rounds.filter(entry => Array.isArray(entry) && entry.length === 2 && Array.isArray(entry[1]));
+        trialHistory = new Map(rounds);
+        currentRoundId = data.currentRoundId || 0;
+        reportDroppedEntries('trialHistory', 'Trial history', data.rounds.length - rounds.length);
+
+        // Audits are diagnostics only, a bad entry is skipped quietly
+        roundAudits = new Map((data.roundAudits || []).filter(entry => Array.isArray(entry) && entry.length === 2));
+        roundStopReasons = new Map((data.roundStopReasons || []).filter(entry => Array.isArray(entry) && STOP_REASONS[entry[1]]));
     } catch (e) {
-        console.error('Failed to load trial history:', e);
+        reportUnrecoverable('trialHistory', 'Trial history', e.message, saved);
         trialHistory = new Map();
+        roundAudits = new Map();
+        roundStopReasons = new Map();
         currentRoundId = 0;
     }
 }
@@ -232,8 +579,17 @@ function loadTrialHistory() {
 function saveTrialHistory() {
     try {
         pruneMap(trialHistory, MAX_ROUNDS_STORED);
+        for (const roundId of roundAudits.keys()) {
+            if (!trialHistory.has(roundId)) roundAudits.delete(roundId);
+        }
+        for (const roundId of roundStopReasons.keys()) {
+            if (!trialHistory.has(roundId)) roundStopReasons.delete(roundId);
+        }
         localStorage.setItem('trialHistory', JSON.stringify({
+            schemaVersion: TRIAL_HISTORY_SCHEMA_VERSION,
             rounds: [...trialHistory.entries()],
+            roundAudits: [...roundAudits.entries()],
+            roundStopReasons: [...roundStopReasons.entries()],
             currentRoundId: currentRoundId
         }));
     } catch (e) {
@@ -254,6 +610,20 @@ function isActualMatchInRound(currentColor, nBack) {
     return currentColor === roundTrials[nBackIndex].color;
 }
 
+// Lure offset (-1, +1, +2 relative to N) of the current non match tile, or null.
+// Like matches, lures only count against colors shown in the current round.
+function getLureOffsetInRound(currentColor, nBack) {
+    const roundTrials = getCurrentRoundTrials();
+    for (const offset of [-1, 1, 2]) {
+        const lag = nBack + offset;
+        const lagIndex = roundTrials.length - 1 - lag;
+        if (lag >= 1 && lagIndex >= 0 && roundTrials[lagIndex].color === currentColor) {
+            return offset;
+        }
+    }
+    return null;
+}
+
 // Add a new trial to history (called when tile is shown)
 function addTrialToHistory(tile, nBack) {
     const trial = {
@@ -264,10 +634,17 @@ function addTrialToHistory(tile, nBack) {
         currentLoad: tile.currentLoad,
         targetLoad: tile.targetLoad,
         targetUniqueColors: tile.targetUniqueColors,
+        isLure: false,
+        lureOffset: null,
         wasMatch: null,
         userClicked: null,
         correct: null,
-        reactionTime: null
+        reactionTime: null,
+        response: null,  // 'match' or 'noMatch' (two button mode), null without an answer
+        omission: false, // two button mode: no answer before the deadline
+        lateResponse: false, // answered in the grace period after the next tile appeared
+        rejected: null, // engine rejected the answer: 'anticipation', 'doubleTap', 'distracted' or 'timing'
+        timing: null // StimulusScheduler record: measured onset / offset, frame drops
     };
 
     if (!trialHistory.has(currentRoundId)) {
@@ -278,16 +655,16 @@ function addTrialToHistory(tile, nBack) {
     return trial;
 }
 
-// Update the last trial in current round with response data
-function updateLastTrialWithResponse(wasMatch, userClicked, correct, reactionTime) {
-    const roundTrials = getCurrentRoundTrials();
-    if (roundTrials.length === 0) return;
+// Update a trial with response data (a late answer lands on the trial before the last)
+function updateTrialWithResponse(trial, wasMatch, userClicked, correct, reactionTime, response = null, omission = false) {
+    if (!trial) return;
 
-    const lastTrial = roundTrials[roundTrials.length - 1];
-    lastTrial.wasMatch = wasMatch;
-    lastTrial.userClicked = userClicked;
-    lastTrial.correct = correct;
-    lastTrial.reactionTime = reactionTime;
+    trial.wasMatch = wasMatch;
+    trial.userClicked = userClicked;
+    trial.correct = correct;
+    trial.reactionTime = reactionTime;
+    trial.response = response;
+    trial.omission = omission;
 }
 
 // Get recent trials from current round for error monitoring
@@ -300,7 +677,41 @@ function getLastTrialInfo() {
     const roundTrials = getCurrentRoundTrials();
     const lastTrial = roundTrials.length > 0 ? roundTrials[roundTrials.length - 1] : null;
     const wasMatch = lastTrial ? isActualMatchInRound(lastTrial.color, n) : false;
-    return { lastTrial, wasMatch };
+    const isLure = lastTrial ? lastTrial.isLure : false;
+    return { lastTrial, wasMatch, isLure };
+}
+
+// Banner wording for rejected trials (WorkingMemoryTrainer.classifyTrial)
+const REJECTION_LABELS = {
+    anticipation: 'too early',
+    doubleTap: 'double tap',
+    distracted: 'too late',
+    timing: 'frame drops'
+};
+
+// Rejected trials of a round by reason: { anticipation, doubleTap, distracted, timing, total }
+function summarizeRejections(trials) {
+    const summary = { anticipation: 0, doubleTap: 0, distracted: 0, timing: 0, total: 0 };
+    for (const t of trials) {
+        if (!t.rejected || summary[t.rejected] === undefined) continue;
+        summary[t.rejected]++;
+        summary.total++;
+    }
+    return summary;
+}
+
+// Frames dropped or stalled before the trial was answered (StimulusScheduler)
+function isTimingFlagged(trial) {
+    return !!(trial && trial.timing && trial.timing.flagged);
+}
+
+// The engine rejected an answer: the trial keeps the reason and is left out
+// of the hit / false alarm counters, the accuracy and the daily totals
+function rejectTrial(trial, rejection, wasMatch) {
+    if (trial) trial.rejected = rejection;
+    if (wasMatch) totalTargets--; // counted when the tile appeared
+
+    updateDailyProgress({ rejected: rejection });
 }
 
 // Format bytes to human readable
@@ -333,6 +744,7 @@ function getLocalStorageInfo() {
 function saveCellHidingState() {
     try {
         const state = {
+            schemaVersion: CELL_HIDING_SCHEMA_VERSION,
             accumulatedPlayTime,
             layoutPlayTimeStart,
             cellHidingActive,
@@ -346,11 +758,18 @@ function saveCellHidingState() {
 
 // Load cell hiding state from localStorage
 function loadCellHidingState() {
+    const saved = localStorage.getItem('cellHidingState');
+    if (!saved) return;
+
+    let state;
     try {
-        const saved = localStorage.getItem('cellHidingState');
-        if (!saved) return;
+        state = migrateSchema(JSON.parse(saved), CELL_HIDING_SCHEMA_VERSION, CELL_HIDING_MIGRATIONS);
+    } catch (e) {
+        reportUnrecoverable('cellHidingState', 'Hidden cell layout', e.message, saved);
+        return;
+    }
 
-        const state = JSON.parse(saved);
+    try {
         accumulatedPlayTime = state.accumulatedPlayTime || 0;
         layoutPlayTimeStart = state.layoutPlayTimeStart || 0;
         cellHidingActive = state.cellHidingActive || false;
@@ -389,13 +808,20 @@ function formatDateLocal(date) {
 
 // Load performance history from localStorage
 function loadPerformanceHistory() {
+    const saved = localStorage.getItem("performanceHistory");
+    if (!saved) return;
+
     try {
-        const saved = localStorage.getItem("performanceHistory");
-        if (saved) {
-            performanceHistory = new Map(JSON.parse(saved));
-        }
+        const data = migrateSchema(JSON.parse(saved), PERFORMANCE_HISTORY_SCHEMA_VERSION, PERFORMANCE_HISTORY_MIGRATIONS);
+        if (!Array.isArray(data.days)) throw new Error('days is not a list');
+
+        // Keep every day that still looks like [dateStr, entry]
+        const days = data.days.filter(entry => Array.isArray(entry) && entry.length === 2
+            && typeof entry[0] === 'string' && entry[1] && typeof entry[1] === 'object');
+        performanceHistory = new Map(days);
+        reportDroppedEntries('performanceHistory', 'Daily history', data.days.length - days.length);
     } catch (e) {
-        console.error("Failed to load performance history:", e);
+        reportUnrecoverable('performanceHistory', 'Daily history', e.message, saved);
         performanceHistory = new Map();
     }
 }
@@ -404,7 +830,10 @@ function loadPerformanceHistory() {
 function savePerformanceHistory() {
     try {
         pruneMap(performanceHistory, MAX_DAYS_STORED);
-        localStorage.setItem("performanceHistory", JSON.stringify([...performanceHistory.entries()]));
+        localStorage.setItem("performanceHistory", JSON.stringify({
+            schemaVersion: PERFORMANCE_HISTORY_SCHEMA_VERSION,
+            days: [...performanceHistory.entries()]
+        }));
     } catch (e) {
         console.error("Failed to save performance history:", e);
     }
@@ -424,9 +853,12 @@ function initPendingPerformance() {
             misses: 0,
             falseAlarms: 0,
             correctRejections: 0,
+            omissions: 0,
+            rejected: 0,
             sumLoad: 0,
             maxLoad: 0,
-            playTime: 0
+            playTime: 0,
+            levels: []
         };
     }
     pendingPerformanceDate = today;
@@ -438,10 +870,24 @@ function updateDailyProgress(trialData) {
         initPendingPerformance();
     }
 
+    // Rejected trials are only counted, they are no decisions
+    if (trialData.rejected) {
+        pendingPerformance.rejected = (pendingPerformance.rejected || 0) + 1;
+        return;
+    }
+
+    // Omissions (two button mode) are their own category: an unanswered
+    // target is still a miss, an unanswered non target is no correct rejection
+    if (trialData.omission) {
+        pendingPerformance.omissions = (pendingPerformance.omissions || 0) + 1;
+    }
+
     if (trialData.wasMatch && trialData.userClicked) {
         pendingPerformance.hits++;
     } else if (trialData.wasMatch && !trialData.userClicked) {
         pendingPerformance.misses++;
+    } else if (trialData.omission) {
+        // counted above only
     } else if (!trialData.wasMatch && trialData.userClicked) {
         pendingPerformance.falseAlarms++;
     } else {
@@ -451,6 +897,23 @@ function updateDailyProgress(trialData) {
     pendingPerformance.sumLoad += trialData.currentLoad;
     pendingPerformance.maxLoad = Math.max(pendingPerformance.maxLoad, trialData.currentLoad);
     pendingPerformance.n = Math.max(pendingPerformance.n, trialData.n);
+    if (!pendingPerformance.levels) pendingPerformance.levels = [];
+    if (!pendingPerformance.levels.includes(trialData.n)) {
+        pendingPerformance.levels.push(trialData.n);
+        pendingPerformance.levels.sort((a, b) => a - b);
+    }
+
+    // Daily response bias (null until the day has both targets and non targets)
+    const targets = pendingPerformance.hits + pendingPerformance.misses;
+    const nonTargets = pendingPerformance.falseAlarms + pendingPerformance.correctRejections;
+    if (targets > 0 && nonTargets > 0) {
+        const bias = computeCriterion(
+            (pendingPerformance.hits + 0.5) / (targets + 1),
+            (pendingPerformance.falseAlarms + 0.5) / (nonTargets + 1)
+        );
+        pendingPerformance.criterion = bias.c;
+        pendingPerformance.logBeta = bias.logBeta;
+    }
 }
 
 // Update playTime in pendingPerformance
@@ -487,6 +950,12 @@ function getPlayTime(dateStr) {
     return data ? data.playTime : 0;
 }
 
+// N levels played on a date (today comes from the unsaved pending data)
+function getPlayedLevels(dateStr) {
+    const data = dateStr === pendingPerformanceDate && pendingPerformance ? pendingPerformance : performanceHistory.get(dateStr);
+    return data && data.levels ? data.levels : [];
+}
+
 // TODO: Get computed stats for a day (for display/graphing user's progression) thats for the future when we want to display graph
 
 // function getDailyStats(dateStr) {
@@ -723,7 +1192,9 @@ function renderActivityHeatmap() {
                     }
                 }
 
-                html += `<div class="heatmap-cell ${colorClass}${todayClass}${streakClass}${holidayClass}" title="${dateStr}: ${Math.floor(seconds / 60)}min">${holidayContent}</div>`;
+                const levels = getPlayedLevels(dateStr);
+                const levelsTitle = levels.length > 0 ? `, N ${levels.join('/')}` : '';
+                html += `<div class="heatmap-cell ${colorClass}${todayClass}${streakClass}${holidayClass}" title="${dateStr}: ${Math.floor(seconds / 60)}min${levelsTitle}">${holidayContent}</div>`;
             }
 
             html += '</div>';
@@ -1100,16 +1571,20 @@ function isLevelLocked(level) {
 }
 
 // Try to unlock next level (called after a game ends)
-function checkAndUnlockNextLevel(nLevel, accuracy, roundsPlayed, colorLoad) {
+// mastered: the engine's mastery SPRT accepted this round (fast track)
+function checkAndUnlockNextLevel(nLevel, accuracy, roundsPlayed, colorLoad, mastered = false) {
     // Only check if playing at the highest unlocked level
     // AND player completed enough rounds for a meaningful accuracy
     // AND the average unique color load was above 80% of the maximum for this n level
-    if (nLevel === highestUnlockedLevel && accuracy >= UNLOCK_THRESHOLD && roundsPlayed >= UNLOCK_MIN_ROUNDS && colorLoad * 100 >= UNLOCK_THRESHOLD) {
+    // (or the mastery SPRT already has that evidence from trials near max load)
+    const passedRound = accuracy >= UNLOCK_THRESHOLD && roundsPlayed >= UNLOCK_MIN_ROUNDS && colorLoad * 100 >= UNLOCK_THRESHOLD;
+    if (nLevel === highestUnlockedLevel && (passedRound || mastered)) {
         // Unlock next level (max 6)
         if (highestUnlockedLevel < 6) {
             highestUnlockedLevel++;
             saveUnlockedLevel();
-            console.log(`Unlocked level ${highestUnlockedLevel}! (${roundsPlayed} rounds at ${accuracy}%)`);
+            console.log(`Unlocked level ${highestUnlockedLevel}! (${roundsPlayed} rounds at ${accuracy}%${!passedRound ? ', mastery fast track' : ''})`);
+            seedProfileFromLevelBelow(nLevel, highestUnlockedLevel);
 
             // Animate the newly unlocked button
             animateUnlockedButton(highestUnlockedLevel);
@@ -1120,6 +1595,33 @@ function checkAndUnlockNextLevel(nLevel, accuracy, roundsPlayed, colorLoad) {
     return false; // no unlock
 }
 
+// Start the new level from what the level below knows about the player
+// (engine transferProfile) instead of a blank profile. Never overwrites a
+// profile the level already has.
+// The live engine may already be gone (auto N switches levels before the
+// results animation unlocks), then the profile saved for fromN is used.
+function seedProfileFromLevelBelow(fromN, toN) {
+    try {
+        const key = getProfileKey(toN);
+        if (localStorage.getItem(key)) return;
+
+        let source = null;
+        if (nbackEngine && nbackEngine.getCurrentN() === fromN) {
+            source = nbackEngine.toJSON();
+        } else {
+            const raw = localStorage.getItem(getProfileKey(fromN));
+            if (raw) source = migrateProfile(JSON.parse(raw));
+        }
+        if (!source) return;
+
+        const seeded = transferProfile(source, toN);
+        localStorage.setItem(key, JSON.stringify(seeded));
+        console.log(`Seeded ${toN}-back profile from ${fromN}-back (theta ${source.strategic.theta.toFixed(2)} -> ${seeded.strategic.theta.toFixed(2)})`);
+    } catch (e) {
+        console.error("Failed to seed profile from level below:", e);
+    }
+}
+
 // ------------------ Level Mastery System ------------------
 
 // A level is mastered when: accuracy > UNLOCK_THRESHOLD, played TOTAL_ROUNDS, color load > UNLOCK_THRESHOLD
@@ -1145,8 +1647,8 @@ function saveMasteredLevels() {
     }
 }
 
-function checkAndAwardMastery(nLevel, accuracy, roundsPlayed, colorLoad) {
-    if (accuracy >= UNLOCK_THRESHOLD && roundsPlayed >= TOTAL_ROUNDS && colorLoad * 100 >= UNLOCK_THRESHOLD) {
+function checkAndAwardMastery(nLevel, accuracy, roundsPlayed, colorLoad, mastered = false) {
+    if (mastered || (accuracy >= UNLOCK_THRESHOLD && roundsPlayed >= TOTAL_ROUNDS && colorLoad * 100 >= UNLOCK_THRESHOLD)) {
         if (!masteredLevels.has(nLevel)) {
             masteredLevels.add(nLevel);
             saveMasteredLevels();
@@ -1276,6 +1778,32 @@ function updateNBackButtons() {
             }
         }
     });
+
+    updateAutoNButton();
+    updateBlockModeButton();
+    updateDualResponseButton();
+}
+
+// Switch to another N level: save the current profile, the next
+// startGame() loads the profile of the new level
+function switchNLevel(newN) {
+    discardRoundResume();
+
+    // Save current N profile before switching to new level
+    saveNBackProfile(n);
+    nbackEngine = null;
+
+    // Update global n variable and persist
+    n = newN;
+    localStorage.setItem("selectedN", n.toString());
+
+    // Update button appearance
+    updateNBackButtons();
+
+    // Update stats display to reflect reset
+    updateStatsDisplay();
+
+    console.log(`N-back level changed to ${newN}-back. Game reset.`);
 }
 
 // Handle n-back button clicks
@@ -1295,149 +1823,646 @@ function setupNBackButtons() {
                 return;
             }
 
-            // Save current N profile before switching to new level
-            saveNBackProfile(n);
-            nbackEngine = null;
-
-            // Update global n variable and persist
-            n = newN;
-            localStorage.setItem("selectedN", n.toString());
-
-            // Update button appearance
-            updateNBackButtons();
-
-            // Update stats display to reflect reset
-            updateStatsDisplay();
-
-            console.log(`N-back level changed to ${newN}-back. Game reset.`);
+            switchNLevel(newN);
         });
     });
 }
 
-// ------------------ Grid Setup ------------------
-
-function createGrid() {
-    grid.innerHTML = "";
+// ------------------ Auto N Mode ------------------
 
-    // Create background grid (always visible grey cells)
-    for (let i = 0; i < 9; i++) {
-        const bgCell = document.createElement("div");
-        bgCell.classList.add("bg-cell");
+// When on, N moves up or down between rounds (engine recommendAutoN),
+// always within the unlocked levels. Manual stops never move N.
+let autoNMode = false;
+let sessionNLevels = []; // N of every round this session (resets when away > 10 min)
+const autoNBtn = document.getElementById("autoNBtn");
 
-        grid.appendChild(bgCell);
+function loadAutoNMode() {
+    try {
+        autoNMode = localStorage.getItem("autoNMode") === "true";
+    } catch (e) {
+        console.error("Failed to load auto N mode:", e);
+        autoNMode = false;
     }
+}
 
-    // Create overlay grid for colored cells
-    const overlayGrid = document.createElement("div");
-    overlayGrid.id = "overlay-grid";
-
-    for (let i = 0; i < 9; i++) {
-        const cell = document.createElement("div");
-        cell.classList.add("cell");
-
-        overlayGrid.appendChild(cell);
+function saveAutoNMode() {
+    try {
+        localStorage.setItem("autoNMode", autoNMode.toString());
+    } catch (e) {
+        console.error("Failed to save auto N mode:", e);
     }
+}
 
-    grid.appendChild(overlayGrid);
+function updateAutoNButton() {
+    if (!autoNBtn) return;
+    autoNBtn.classList.toggle("active", autoNMode);
+    autoNBtn.classList.toggle("playing", isRunning);
+    autoNBtn.title = autoNMode ? "Auto N: on (N adapts between rounds)" : "Auto N: off";
 }
 
-// Check if deactivated cells form a straight line of 3 (horizontal or vertical)
-function hasThreeInLine(cells) {
-    if (cells.length < 3) return false;
+function setupAutoNButton() {
+    if (!autoNBtn) return;
+    autoNBtn.addEventListener("click", () => {
+        if (isRunning) return; // can't change during gameplay
+        autoNMode = !autoNMode;
+        saveAutoNMode();
+        updateAutoNButton();
+        console.log(`Auto N ${autoNMode ? 'enabled' : 'disabled'}`);
+    });
+    updateAutoNButton();
+}
 
-    const cellSet = new Set(cells);
+// ------------------ Block Mode ------------------
 
-    // Horizontal lines: rows 0, 1, 2
-    const rows = [[0, 1, 2], [3, 4, 5], [6, 7, 8]];
-    // Vertical lines: columns 0, 1, 2
-    const cols = [[0, 3, 6], [1, 4, 7], [2, 5, 8]];
+// When on, every round is planned up front (engine startBlock): the same
+// number of targets and lures each round at one color load, so round
+// accuracies compare directly. Difficulty then moves between rounds only.
+let blockMode = false;
+const blockModeBtn = document.getElementById("blockModeBtn");
 
-    const lines = [...rows, ...cols];
+function loadBlockMode() {
+    try {
+        blockMode = localStorage.getItem("blockMode") === "true";
+    } catch (e) {
+        console.error("Failed to load block mode:", e);
+        blockMode = false;
+    }
+}
 
-    for (const line of lines) {
-        if (line.every(idx => cellSet.has(idx))) {
-            return true;
-        }
+function saveBlockMode() {
+    try {
+        localStorage.setItem("blockMode", blockMode.toString());
+    } catch (e) {
+        console.error("Failed to save block mode:", e);
     }
-    return false;
 }
 
-// Select 0-3 random cells to deactivate for visual variety
-function selectDeactivatedCells() {
-    const numToDeactivate = Math.floor(Math.random() * 4); // 0, 1, 2, or 3
-    const allIndices = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+function updateBlockModeButton() {
+    if (!blockModeBtn) return;
+    blockModeBtn.classList.toggle("active", blockMode);
+    blockModeBtn.classList.toggle("playing", isRunning);
+    blockModeBtn.title = blockMode ? "Block mode: on (fixed targets per round)" : "Block mode: off";
+}
 
-    let attempts = 0;
-    const maxAttempts = 20;
+function setupBlockModeButton() {
+    if (!blockModeBtn) return;
+    blockModeBtn.addEventListener("click", () => {
+        if (isRunning) return; // can't change during gameplay
+        blockMode = !blockMode;
+        saveBlockMode();
+        updateBlockModeButton();
+        console.log(`Block mode ${blockMode ? 'enabled' : 'disabled'}`);
+    });
+    updateBlockModeButton();
+}
 
-    while (attempts < maxAttempts) {
-        // Shuffle and pick first N
-        for (let i = allIndices.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [allIndices[i], allIndices[j]] = [allIndices[j], allIndices[i]];
-        }
+// Plan the new round in block mode, otherwise drop any plan left over
+// from a round stopped early
+function startRoundBlock() {
+    if (!blockMode) {
+        nbackEngine.clearBlock();
+        return;
+    }
+    const block = nbackEngine.startBlock(TOTAL_ROUNDS);
+    if (block) {
+        console.log(`Block planned: ${block.targets} targets, ${block.lures} lures, K=${block.targetK}`);
+    } else {
+        console.warn("No block plan found, this round uses trial by trial generation");
+    }
+}
 
-        const selected = allIndices.slice(0, numToDeactivate);
+// ------------------ Two Button Mode ------------------
 
-        // Accept if no 3 in a line constraint violated
-        if (!hasThreeInLine(selected)) {
-            return selected;
-        }
+// When on, every tile gets an answer, Match or No match, before a deadline.
+// A tile left unanswered is an omission, its own category next to misses and
+// false alarms. The engine then no longer has to guess whether a missing
+// click was a disciplined correct rejection or a player who checked out.
+let dualResponseMode = false;
+const dualResponseBtn = document.getElementById("dualResponseBtn");
+const noMatchBtn = document.getElementById("noMatchBtn");
+const DUAL_RESPONSE_DEADLINE = 2000; // ms after the tile appears, later answers do not count
 
-        attempts++;
+function loadDualResponseMode() {
+    try {
+        dualResponseMode = localStorage.getItem("dualResponseMode") === "true";
+    } catch (e) {
+        console.error("Failed to load two button mode:", e);
+        dualResponseMode = false;
     }
-
-    // Fallback: return empty (no deactivated cells) if we cant find valid config
-    return [];
 }
 
-// Apply deactivated cells visually (make them invisible)
-function applyDeactivatedCells() {
-    const bgCells = document.querySelectorAll(".bg-cell");
-    const overlayCells = document.querySelectorAll("#overlay-grid .cell");
+function saveDualResponseMode() {
+    try {
+        localStorage.setItem("dualResponseMode", dualResponseMode.toString());
+    } catch (e) {
+        console.error("Failed to save two button mode:", e);
+    }
+}
 
-    // First reset all cells to active state
-    bgCells.forEach(cell => cell.classList.remove("deactivated"));
-    overlayCells.forEach(cell => cell.classList.remove("deactivated"));
+function updateDualResponseButton() {
+    if (!dualResponseBtn) return;
+    dualResponseBtn.classList.toggle("active", dualResponseMode);
+    dualResponseBtn.classList.toggle("playing", isRunning);
+    dualResponseBtn.title = dualResponseMode ? "Two buttons: on (answer every tile, Match or No match)" : "Two buttons: off";
+}
 
-    // Then deactivate selected cells
-    deactivatedCells.forEach(index => {
-        if (bgCells[index]) {
-            bgCells[index].classList.add("deactivated");
-        }
-        if (overlayCells[index]) {
-            overlayCells[index].classList.add("deactivated");
-        }
+function setupDualResponseButton() {
+    if (!dualResponseBtn) return;
+    dualResponseBtn.addEventListener("click", () => {
+        if (isRunning) return; // can't change during gameplay
+        dualResponseMode = !dualResponseMode;
+        saveDualResponseMode();
+        updateDualResponseButton();
+        console.log(`Two button mode ${dualResponseMode ? 'enabled' : 'disabled'}`);
     });
+    updateDualResponseButton();
+}
 
-    // Show a 1px grid outline whenever outer cells are hidden so the
-    // overall boundary stays clear to the player (center index 4 does not affect outer edge)
-    const hasOuterHidden = deactivatedCells.some(idx => idx !== 4);
-    document.getElementById("grid").classList.toggle("grid-outlined", hasOuterHidden);
+// Deadline for the current tile, never past the next tile
+function getResponseDeadline() {
+    const deadline = Math.min(DUAL_RESPONSE_DEADLINE, getAdaptiveInterval());
+    return IS_LOCAL_HOST ? deadline / speedMultiplier : deadline;
 }
 
-// Convert deactivated cell indices to position objects for nbackEngine.js
-function getExcludedPositions() {
-    return deactivatedCells.map(index => ({
-        row: Math.floor(index / 3),
-        col: index % 3
-    }));
+// Two button mode: an answer after the deadline is ignored, the tile stays an omission
+function isPastResponseDeadline() {
+    return dualResponseMode && reactionTimer.elapsed() > getResponseDeadline();
 }
 
-// Load last activity timestamp from localStorage
-function loadLastActivityTimestamp() {
+// ------------------ Response Window ------------------
+
+// A tile's response window runs from its onset to the next tile's onset.
+// Nobody answers a tile within RESPONSE_GRACE ms of seeing it, so a click
+// that early belongs to the tile before: an unanswered tile is only scored
+// as a non response once the next tile's grace period is over. Two button
+// mode has its deadline instead. A late click is timed from the tile it
+// answers, so a hit in the grace period scores as a hit. With nothing held
+// an early click answers the current tile and is rejected as an
+// anticipation (too fast for that tile).
+// An answer is scored DOUBLE_TAP_WINDOW ms after the tap, a second tap on
+// the same tile in that time makes it a double tap.
+// Every click is logged with its latency to both tiles, and late answers
+// are counted per stimulus interval (the speed the round ran at).
+const RESPONSE_GRACE = 150; // ms, same bound as a too fast reaction in the engine (REJECT_RT_MIN)
+const MAX_CLICK_LOG = 500;
+const RESPONSE_WINDOW_KEY = "responseWindow";
+const RESPONSE_WINDOW_SCHEMA_VERSION = 1;
+
+let pendingResponse = null; // previous tile in its grace period { trial, tile, wasMatch, isLure, stimulusTime }
+let graceTimeoutId = null;
+let clickLog = []; // { at, roundId, trial, intervalMs, sinceOnset, sincePrevious, sinceLastClick, assigned }
+let lateResponseStats = {}; // interval bucket (ms) -> { clicks, late, early }
+let lastClickTime = null; // performance.now() of the previous click (click log)
+let lastEngagedTime = null; // performance.now() of the last click this run (idle omissions)
+let heldAnswer = null; // answer to the current tile waiting out DOUBLE_TAP_WINDOW
+let heldAnswerTimeoutId = null;
+
+function loadResponseWindow() {
+    const saved = localStorage.getItem(RESPONSE_WINDOW_KEY);
+    if (!saved) return;
+
     try {
-        const saved = localStorage.getItem("lastActivityTimestamp");
-        if (saved) {
-            lastActivityTimestamp = parseInt(saved);
-        }
+        const data = migrateSchema(JSON.parse(saved), RESPONSE_WINDOW_SCHEMA_VERSION, {});
+        clickLog = Array.isArray(data.clickLog) ? data.clickLog : [];
+        lateResponseStats = data.stats && typeof data.stats === "object" ? data.stats : {};
     } catch (e) {
-        console.error("Failed to load last activity timestamp:", e);
+        reportUnrecoverable(RESPONSE_WINDOW_KEY, "Click timing log", e.message, saved);
+        clickLog = [];
+        lateResponseStats = {};
     }
 }
 
-// Save last activity timestamp to localStorage
-function saveLastActivityTimestamp() {
+function saveResponseWindow() {
+    try {
+        localStorage.setItem(RESPONSE_WINDOW_KEY, JSON.stringify({
+            schemaVersion: RESPONSE_WINDOW_SCHEMA_VERSION,
+            clickLog: clickLog,
+            stats: lateResponseStats
+        }));
+    } catch (e) {
+        console.error("Failed to save click timing log:", e);
+    }
+}
+
+// Time between tile onsets right now
+function getStimulusInterval() {
+    return IS_LOCAL_HOST ? getAdaptiveInterval() / speedMultiplier : getAdaptiveInterval();
+}
+
+// Which tile a click answers: 'late' for the previous tile still in its
+// grace period, 'early' when it is too early for the current tile but there
+// is nothing held (it answers the current one), 'current' otherwise. Logs
+// the click. Returns { assigned }.
+function assignClick() {
+    let assigned = "current";
+    if (index > n && reactionTimer.elapsed() < RESPONSE_GRACE) {
+        assigned = pendingResponse ? "late" : "early";
+    }
+
+    const now = performance.now();
+    const sinceLastClick = lastClickTime === null ? null : Math.round(now - lastClickTime);
+    lastClickTime = now;
+    lastEngagedTime = now;
+
+    const intervalMs = getStimulusInterval();
+    const sinceOnset = reactionTimer.elapsed();
+    const sincePrevious = reactionTimer.sincePrevious();
+    clickLog.push({
+        at: Date.now(),
+        roundId: currentRoundId,
+        trial: index,
+        intervalMs: Math.round(intervalMs),
+        sinceOnset: Math.round(sinceOnset),
+        sincePrevious: sincePrevious === null ? null : Math.round(sincePrevious),
+        sinceLastClick: sinceLastClick,
+        assigned: assigned
+    });
+    if (clickLog.length > MAX_CLICK_LOG) {
+        clickLog.splice(0, clickLog.length - MAX_CLICK_LOG);
+    }
+
+    const bucket = Math.round(intervalMs / 100) * 100;
+    if (!lateResponseStats[bucket]) {
+        lateResponseStats[bucket] = { clicks: 0, late: 0, early: 0 };
+    }
+    const counts = lateResponseStats[bucket];
+    counts.clicks++;
+    if (assigned === "late") counts.late++;
+    if (assigned === "early") counts.early = (counts.early || 0) + 1;
+
+    return { assigned };
+}
+
+// Previous tile left unanswered when the next one appears: wait out the
+// grace period before scoring it
+function holdPendingResponse(pending) {
+    pendingResponse = pending;
+    graceTimeoutId = setTimeout(() => {
+        graceTimeoutId = null;
+        if (!isRunning || isPaused) return;
+        scorePendingResponse();
+        checkEarlyStop();
+    }, RESPONSE_GRACE);
+}
+
+// Score the held tile as unanswered now (grace period over, pause or stop)
+function scorePendingResponse() {
+    clearTimeout(graceTimeoutId);
+    graceTimeoutId = null;
+    if (!pendingResponse) return;
+
+    const pending = pendingResponse;
+    pendingResponse = null;
+    scoreNonResponse(pending);
+}
+
+// The held tile of trialStartSnapshot was scored after the snapshot was
+// taken. Going back to the snapshot undoes that in the engine and the
+// counters but not in the trial history or daily progress: score it again
+// with the same answer. pending.score is set by scoreNonResponse and
+// answerPendingResponse.
+function replayHeldResponse(pending) {
+    const score = pending.score;
+    nbackEngine.onUserResponse(score.userClicked, pending.wasMatch, score.reactionTime, score.details);
+
+    if (score.rejection) {
+        if (pending.wasMatch) totalTargets--;
+        return;
+    }
+    if (score.userClicked) {
+        countMatchClick(pending.wasMatch);
+    } else if (pending.wasMatch || score.details.omission) {
+        currentStreak = 0;
+    }
+}
+
+// Late click: the answer to the held tile, its reaction time counts from
+// that tile
+function answerPendingResponse() {
+    const pending = pendingResponse;
+    clearTimeout(graceTimeoutId);
+    graceTimeoutId = null;
+    pendingResponse = null;
+
+    const { trial, wasMatch, isLure } = pending;
+    animateResponse(!wasMatch);
+
+    const reactionTime = performance.now() - pending.stimulusTime;
+    const details = { isLure, dualResponse: false, tile: pending.tile, timingFlagged: isTimingFlagged(trial) };
+    const result = nbackEngine.onUserResponse(true, wasMatch, reactionTime, details);
+    pending.score = { userClicked: true, reactionTime, details, rejection: result.rejection };
+    updateTrialWithResponse(trial, wasMatch, true, wasMatch, reactionTime, 'match');
+    if (trial) trial.lateResponse = true;
+
+    if (result.rejection) {
+        rejectTrial(trial, result.rejection, wasMatch);
+        checkEarlyStop();
+        return;
+    }
+
+    countMatchClick(wasMatch);
+    updateDailyProgress({
+        n: nbackEngine.getCurrentN(),
+        wasMatch: wasMatch,
+        userClicked: true,
+        currentLoad: trial ? trial.currentLoad : 0
+    });
+
+    if (IS_LOCAL_HOST && graphShowing) {
+        updateGraphDisplay();
+    }
+    checkEarlyStop();
+}
+
+// Answer to the current tile: scored once DOUBLE_TAP_WINDOW has passed
+// without a second tap on it
+function holdAnswer(answer) {
+    heldAnswer = answer;
+    heldAnswerTimeoutId = setTimeout(() => {
+        heldAnswerTimeoutId = null;
+        scoreHeldAnswer();
+    }, DOUBLE_TAP_WINDOW);
+}
+
+// Score the held answer now (window over, next tile, pause or stop)
+function scoreHeldAnswer() {
+    clearTimeout(heldAnswerTimeoutId);
+    heldAnswerTimeoutId = null;
+    if (!heldAnswer) return;
+
+    const answer = heldAnswer;
+    heldAnswer = null;
+    scoreAnswer(answer);
+}
+
+// Tap on a tile that is already answered: while its answer is held the
+// two taps were one gesture
+function recordSecondTap() {
+    if (!heldAnswer) return;
+    heldAnswer.secondTap = Math.round(performance.now() - heldAnswer.tapTime);
+    scoreHeldAnswer();
+}
+
+// How often clicks came late per stimulus interval, fastest speed first:
+// [{ intervalMs, clicks, late, early, lateRate }]
+function getLateResponseReport() {
+    return Object.keys(lateResponseStats)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(intervalMs => {
+            const counts = lateResponseStats[intervalMs];
+            return {
+                intervalMs,
+                clicks: counts.clicks,
+                late: counts.late,
+                early: counts.early || 0,
+                lateRate: counts.clicks > 0 ? counts.late / counts.clicks : 0
+            };
+        });
+}
+
+// ------------------ Palette ------------------
+
+const paletteSelect = document.getElementById("paletteSelect");
+const deletePaletteBtn = document.getElementById("deletePaletteBtn");
+const customPaletteEditor = document.getElementById("customPaletteEditor");
+const customPaletteInput = document.getElementById("customPaletteInput");
+const saveCustomPaletteBtn = document.getElementById("saveCustomPaletteBtn");
+const paletteError = document.getElementById("paletteError");
+const palettePreview = document.getElementById("palettePreview");
+const NEW_PALETTE_OPTION = "__new__";
+
+// Switch the stimulus colors. Saves the profile of the old palette, the
+// next startGame() loads the profile of the new one
+function applyPalette(id) {
+    if (isRunning) return;
+
+    discardRoundResume();
+    saveNBackProfile(n);
+    nbackEngine = null;
+
+    activePalette = getPalette(id);
+    COLORS = activePalette.colors;
+    rebuildColorMappings();
+    saveSelectedPaletteId(activePalette.id);
+
+    renderPaletteControls();
+    updateStatsDisplay();
+    console.log(`Palette changed to ${activePalette.label} (${COLORS.length} colors)`);
+}
+
+function renderPaletteControls() {
+    if (!paletteSelect) return;
+
+    paletteSelect.innerHTML = "";
+    getAllPalettes().forEach(p => {
+        const option = document.createElement("option");
+        option.value = p.id;
+        option.textContent = p.label;
+        paletteSelect.appendChild(option);
+    });
+    const newOption = document.createElement("option");
+    newOption.value = NEW_PALETTE_OPTION;
+    newOption.textContent = "New custom palette...";
+    paletteSelect.appendChild(newOption);
+    paletteSelect.value = activePalette.id;
+
+    const isCustom = customPalettes.some(p => p.id === activePalette.id);
+    deletePaletteBtn.style.display = isCustom ? "inline-block" : "none";
+    customPaletteEditor.style.display = "none";
+    paletteError.textContent = "";
+
+    // Custom names are user text, set them as properties rather than markup
+    palettePreview.innerHTML = "";
+    COLORS.forEach(c => {
+        const swatch = document.createElement("span");
+        swatch.className = "palette-swatch";
+        swatch.style.background = c.color;
+        swatch.title = c.name;
+        palettePreview.appendChild(swatch);
+    });
+}
+
+function setupPaletteControls() {
+    if (!paletteSelect) return;
+
+    paletteSelect.addEventListener("change", () => {
+        if (paletteSelect.value === NEW_PALETTE_OPTION) {
+            customPaletteEditor.style.display = "block";
+            customPaletteInput.focus();
+            return;
+        }
+        applyPalette(paletteSelect.value);
+    });
+
+    saveCustomPaletteBtn.addEventListener("click", () => {
+        const result = addCustomPalette(customPaletteInput.value);
+        if (!result.palette) {
+            paletteError.textContent = result.errors.join(". ");
+            return;
+        }
+        customPaletteInput.value = "";
+        applyPalette(result.palette.id);
+    });
+
+    deletePaletteBtn.addEventListener("click", () => {
+        if (isRunning) return;
+        const id = activePalette.id;
+        applyPalette(DEFAULT_PALETTE_ID);
+        removeCustomPalette(id);
+        renderPaletteControls();
+    });
+
+    renderPaletteControls();
+}
+
+// Round average color load relative to the max (same ratio the unlock check uses)
+function getRoundLoadRatio() {
+    const roundTrials = getCurrentRoundTrials();
+    if (roundTrials.length === 0) return 0;
+    const avgLoad = roundTrials.reduce((sum, t) => sum + t.currentLoad, 0) / roundTrials.length;
+    return avgLoad / getMaxUniqueColors();
+}
+
+// Decide the N of the next round. Returns null when auto N does not apply
+function getAutoNDecision(autoEnded) {
+    if (!autoNMode || !autoEnded || !nbackEngine || rounds < 1) return null;
+
+    const decision = nbackEngine.recommendAutoN(getRoundLoadRatio(), highestUnlockedLevel);
+    return { from: n, to: decision.n, direction: decision.direction };
+}
+
+// ------------------ Grid Setup ------------------
+
+function createGrid() {
+    grid.innerHTML = "";
+
+    // Create background grid (always visible grey cells)
+    for (let i = 0; i < 9; i++) {
+        const bgCell = document.createElement("div");
+        bgCell.classList.add("bg-cell");
+
+        grid.appendChild(bgCell);
+    }
+
+    // Create overlay grid for colored cells
+    const overlayGrid = document.createElement("div");
+    overlayGrid.id = "overlay-grid";
+
+    for (let i = 0; i < 9; i++) {
+        const cell = document.createElement("div");
+        cell.classList.add("cell");
+
+        overlayGrid.appendChild(cell);
+    }
+
+    grid.appendChild(overlayGrid);
+}
+
+// Check if deactivated cells form a straight line of 3 (horizontal or vertical)
+function hasThreeInLine(cells) {
+    if (cells.length < 3) return false;
+
+    const cellSet = new Set(cells);
+
+    // Horizontal lines: rows 0, 1, 2
+    const rows = [[0, 1, 2], [3, 4, 5], [6, 7, 8]];
+    // Vertical lines: columns 0, 1, 2
+    const cols = [[0, 3, 6], [1, 4, 7], [2, 5, 8]];
+
+    const lines = [...rows, ...cols];
+
+    for (const line of lines) {
+        if (line.every(idx => cellSet.has(idx))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Select 0-3 random cells to deactivate for visual variety.
+// random: uniform [0, 1) source, the engine PRNG during play so the layout
+// (and with it every tile position) replays from the engine seed
+function selectDeactivatedCells(random = getLayoutRandom()) {
+    const numToDeactivate = Math.floor(random() * 4); // 0, 1, 2, or 3
+    const allIndices = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+
+    let attempts = 0;
+    const maxAttempts = 20;
+
+    while (attempts < maxAttempts) {
+        // Shuffle and pick first N
+        for (let i = allIndices.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [allIndices[i], allIndices[j]] = [allIndices[j], allIndices[i]];
+        }
+
+        const selected = allIndices.slice(0, numToDeactivate);
+
+        // Accept if no 3 in a line constraint violated
+        if (!hasThreeInLine(selected)) {
+            return selected;
+        }
+
+        attempts++;
+    }
+
+    // Fallback: return empty (no deactivated cells) if we cant find valid config
+    return [];
+}
+
+// Random source for grid layouts: engine PRNG when an engine exists, else Math.random
+function getLayoutRandom() {
+    return nbackEngine ? () => nbackEngine.random() : Math.random;
+}
+
+// Apply deactivated cells visually (make them invisible)
+function applyDeactivatedCells() {
+    const bgCells = document.querySelectorAll(".bg-cell");
+    const overlayCells = document.querySelectorAll("#overlay-grid .cell");
+
+    // First reset all cells to active state
+    bgCells.forEach(cell => cell.classList.remove("deactivated"));
+    overlayCells.forEach(cell => cell.classList.remove("deactivated"));
+
+    // Then deactivate selected cells
+    deactivatedCells.forEach(index => {
+        if (bgCells[index]) {
+            bgCells[index].classList.add("deactivated");
+        }
+        if (overlayCells[index]) {
+            overlayCells[index].classList.add("deactivated");
+        }
+    });
+
+    // Show a 1px grid outline whenever outer cells are hidden so the
+    // overall boundary stays clear to the player (center index 4 does not affect outer edge)
+    const hasOuterHidden = deactivatedCells.some(idx => idx !== 4);
+    document.getElementById("grid").classList.toggle("grid-outlined", hasOuterHidden);
+}
+
+// Convert deactivated cell indices to position objects for nbackEngine.js
+function getExcludedPositions() {
+    return deactivatedCells.map(index => ({
+        row: Math.floor(index / 3),
+        col: index % 3
+    }));
+}
+
+// Load last activity timestamp from localStorage
+function loadLastActivityTimestamp() {
+    try {
+        const saved = localStorage.getItem("lastActivityTimestamp");
+        if (saved) {
+            lastActivityTimestamp = parseInt(saved);
+        }
+    } catch (e) {
+        console.error("Failed to load last activity timestamp:", e);
+    }
+}
+
+// Save last activity timestamp to localStorage
+function saveLastActivityTimestamp() {
     try {
         lastActivityTimestamp = Date.now();
         localStorage.setItem("lastActivityTimestamp", lastActivityTimestamp.toString());
@@ -1529,6 +2554,14 @@ loadDailyTimer();
 // Setup n-back buttons
 setupNBackButtons();
 updateNBackButtons();
+loadAutoNMode();
+setupAutoNButton();
+loadBlockMode();
+setupBlockModeButton();
+loadDualResponseMode();
+loadResponseWindow();
+setupDualResponseButton();
+setupPaletteControls();
 
 // Initialize stats display
 updateStatsDisplay();
@@ -1548,36 +2581,107 @@ function getPlayableCells() {
 
 // ------------------ Game Logic ------------------
 
+// Score a tile left unanswered. pending: { trial, tile, wasMatch, isLure }
+// of that tile, taken when the next tile appeared
+function scoreNonResponse(pending) {
+    // User did not click, so this is a non-response
+    // (an omission in two button mode, where every tile needs an answer)
+    const { trial, wasMatch, isLure } = pending;
+    const reactionTime = reactionTimer.recordNonResponse();
+    const omission = dualResponseMode;
+    const correct = !wasMatch && !omission; // not clicking on non-match is correct
+
+    // How long the player has not answered, the engine rejects long idle
+    // omissions as distracted. Without a click this run it counts from the
+    // first tile that needed one
+    let idleTime = null;
+    if (omission) {
+        if (lastEngagedTime === null) lastEngagedTime = pending.stimulusTime;
+        idleTime = performance.now() - lastEngagedTime;
+    }
+
+    // Pass wasMatch to onUserResponse (it no longer computes it internally).
+    // No timing flag: there is no reaction a stall could have distorted
+    const details = { isLure, dualResponse: dualResponseMode, omission, tile: pending.tile, idleTime };
+    const result = nbackEngine.onUserResponse(false, wasMatch, reactionTime, details);
+    pending.score = { userClicked: false, reactionTime, details, rejection: result.rejection };
+
+    // Update the trial in trialHistory with response data
+    updateTrialWithResponse(trial, wasMatch, false, correct, reactionTime, null, omission);
+
+    // The tile may not have been seen as planned (frame drops)
+    if (result.rejection) {
+        rejectTrial(trial, result.rejection, wasMatch);
+        return;
+    }
+
+    // Update daily progress tracking
+    updateDailyProgress({
+        n: nbackEngine.getCurrentN(),
+        wasMatch: wasMatch,
+        userClicked: false,
+        omission: omission,
+        currentLoad: trial ? trial.currentLoad : 0
+    });
+
+    // Break streak if user missed a match (or left the tile unanswered)
+    if (wasMatch || omission) {
+        currentStreak = 0;
+    }
+}
+
+// End the round early once the previous tile is scored. Returns true when it ended.
+function checkEarlyStop() {
+    if (!nbackEngine) return false;
+
+    // Mastery SPRT accepted strong performance near max load, no need to play
+    // out the round while it still unlocks or masters something
+    const masteryPending = n === highestUnlockedLevel || !isLevelMastered(n);
+    if (masteryPending && nbackEngine.shouldFinishForMastery(rounds)) {
+        stopGame(true, 'mastery');
+        return true;
+    }
+
+    // Monitor performance and end if sustained poor performance detected
+    // Uses SPRT (Sequential Probability Ratio Test) from the engine, with fallback to error count check
+    if (rounds >= 10) {
+        if (nbackEngine.shouldStopSession()) {
+            stopGame(true, 'sprt');
+            return true;
+        }
+        if (nbackEngine.shouldStopForErrors(getRecentTrialsInRound(20))) {
+            stopGame(true, 'errorBurst');
+            return true;
+        }
+    }
+    return false;
+}
+
 function nextStimulus() {
     // Safety check: only generate cells if game is running
-    if (!isRunning) {
+    if (!isRunning || isPaused) {
         return;
     }
 
-    // Record non-response to previous stimulus (if applicable)
-    if (nbackEngine && index > 0 && index > n && !roundLocked) {
-        // User did not click, so this is a non-response
-        const reactionTime = reactionTimer.recordNonResponse();
-        const { lastTrial, wasMatch } = getLastTrialInfo();
-        const correct = !wasMatch; // not clicking on non-match is correct
-
-        // Pass wasMatch to onUserResponse (it no longer computes it internally)
-        nbackEngine.onUserResponse(false, wasMatch, reactionTime);
-
-        // Update the trial in trialHistory with response data
-        updateLastTrialWithResponse(wasMatch, false, correct, reactionTime);
-
-        // Update daily progress tracking
-        updateDailyProgress({
-            n: nbackEngine.getCurrentN(),
-            wasMatch: wasMatch,
-            userClicked: false,
-            currentLoad: lastTrial ? lastTrial.currentLoad : 0
-        });
+    // The previous tile's answer is final once this one appears
+    scoreHeldAnswer();
 
-        // Break streak if user missed a match
-        if (wasMatch) {
-            currentStreak = 0;
+    // Previous stimulus left unanswered: a click in the grace period of the
+    // new tile still answers it (Response Window). Two button mode scores the
+    // omission right away, its deadline has already passed.
+    if (nbackEngine && index > 0 && index > n && !roundLocked) {
+        const { lastTrial, wasMatch, isLure } = getLastTrialInfo();
+        const pending = {
+            trial: lastTrial,
+            tile: nbackEngine.currentTile,
+            wasMatch,
+            isLure,
+            stimulusTime: reactionTimer.stimulusTime
+        };
+        if (dualResponseMode) {
+            scoreNonResponse(pending);
+        } else {
+            holdPendingResponse(pending);
         }
     }
 
@@ -1591,6 +2695,11 @@ function nextStimulus() {
     clearGrid();
     resetAllCells(); // thorough reset for mobile rendering glitches
 
+    // State before this tile: resuming from here replays the same tile.
+    // The held tile is scored after it, pauseGame scores it again
+    trialStartSnapshot = captureRoundSnapshot();
+    trialStartPending = pendingResponse;
+
     // Use nback engine to generate next tile
     const tile = nbackEngine.generateNextTile();
 
@@ -1605,11 +2714,18 @@ function nextStimulus() {
 
     // Add trial to history
     // This tracks all trials across rounds with round boundary detection
-    addTrialToHistory(tile, n);
+    const trial = addTrialToHistory(tile, n);
+
+    // Measured onset / offset and frame drops, filled in by the scheduler
+    trial.timing = stimulusScheduler.timing;
 
     // Check if this is a match (only considers trials within current round)
     const actualIsMatch = isActualMatchInRound(tile.color, n);
 
+    // Lures are judged within the round too (never a lure if it is a match)
+    trial.lureOffset = actualIsMatch ? null : getLureOffsetInRound(tile.color, n);
+    trial.isLure = trial.lureOffset !== null;
+
     const cells = getPlayableCells();
     const randomCell = cells[cellIndex];
 
@@ -1633,14 +2749,10 @@ function nextStimulus() {
         totalTargets++;
     }
 
-    // Clear any existing timeout
-    if (hideTimeout) {
-        clearTimeout(hideTimeout);
-    }
-
     const displayTime = IS_LOCAL_HOST ? getAdaptiveDisplayTime() / speedMultiplier : getAdaptiveDisplayTime();
 
-    hideTimeout = setTimeout(() => {
+    // Hidden on the frame closest to displayTime after the measured onset
+    stimulusScheduler.scheduleOffset(displayTime, () => {
         // Double check game is still running before hiding
         if (!isRunning) {
             return;
@@ -1650,8 +2762,9 @@ function nextStimulus() {
         randomCell.classList.remove("cell-colored");
         coloredCellVisible = false;
 
-        // If user missed a match, schedule headshake on bg cell to finish before next stimulus
-        if (actualIsMatch && index > n && !roundLocked) {
+        // If user missed a match (or left any tile unanswered in two button
+        // mode), schedule headshake on bg cell to finish before next stimulus
+        if ((actualIsMatch || dualResponseMode) && index > n && !roundLocked) {
             const savedBgCell = currentBgCell;
             const interval = IS_LOCAL_HOST ? getAdaptiveInterval() / speedMultiplier : getAdaptiveInterval();
             const remainingUntilNext = interval - displayTime;
@@ -1669,7 +2782,7 @@ function nextStimulus() {
                 }
             }, shakeDelay);
         }
-    }, displayTime);
+    });
 
     updateRoundDisplay();
     updateStatsDisplay();
@@ -1680,13 +2793,15 @@ function nextStimulus() {
     }
 
     // Autopilot: automatically click when there's a match
+    // (and No match on every other tile in two button mode)
     if (IS_LOCAL_HOST && autopilotEnabled && nbackEngine && index > n) {
-        if (actualIsMatch) {
+        if (actualIsMatch || dualResponseMode) {
             // Wait a short random time (100-300ms) to simulate human reaction
             const reactionDelay = Math.random() * 200 + 400;
             setTimeout(() => {
                 if (isRunning && !roundLocked) {
-                    handleMatch();
+                    if (actualIsMatch) handleMatch();
+                    else handleNoMatch();
                 }
             }, reactionDelay);
         }
@@ -1697,22 +2812,14 @@ function nextStimulus() {
         updateGraphDisplay();
     }
 
-    // Monitor performance and end if sustained poor performance detected
-    // Uses SPRT (Sequential Probability Ratio Test) from the engine, with fallback to error count check
-    if (nbackEngine && rounds >= 10) {
-        if (nbackEngine.shouldStopSession()) {
-            stopGame(true);
-            return;
-        }
-        if (nbackEngine.shouldStopForErrors(getRecentTrialsInRound(20))) {
-            stopGame(true);
-            return;
-        }
+    // Early stop checks wait for a held tile to be scored (holdPendingResponse)
+    if (!pendingResponse && checkEarlyStop()) {
+        return;
     }
 
     // Always end game after 40 trials regardless of performance
     if (rounds >= 40) {
-        stopGame(true);
+        stopGame(true, 'completed');
     }
 }
 
@@ -1739,10 +2846,7 @@ function clearGrid() {
         missedShakeTimerId = null;
     }
 
-    if (hideTimeout) {
-        clearTimeout(hideTimeout);
-        hideTimeout = null;
-    }
+    stimulusScheduler.cancelOffset();
 }
 
 // Thorough reset of all cells to fix mobile rendering glitches
@@ -1763,33 +2867,20 @@ function resetAllCells() {
     });
 
     // Reset all background cells
-    bgCells.forEach(cell => {
-        cell.style.transform = "";
-        cell.style.opacity = "";
-        cell.classList.remove("squish-right", "squish-left", "head-shake");
-        // Force reflow
-        void cell.offsetWidth;
-    });
-}
-
-function handleMatch() {
-    if (!isRunning) return;
-
-    // During missed match headshake, ignore clicks entirely
-    if (missedShakeActive) return;
-
-    // Click before headshake started, cancel it
-    if (missedShakeTimerId) {
-        clearTimeout(missedShakeTimerId);
-        missedShakeTimerId = null;
-    }
-
-    // Check if this is a false positive (for animation choice)
-    const isFalsePositive = falsePositiveLocked || (index > n && !roundLocked && !getLastTrialInfo().wasMatch);
+    bgCells.forEach(cell => {
+        cell.style.transform = "";
+        cell.style.opacity = "";
+        cell.classList.remove("squish-right", "squish-left", "head-shake");
+        // Force reflow
+        void cell.offsetWidth;
+    });
+}
 
+// Squish the active cell on a response, or shake it when the response was wrong
+function animateResponse(isError) {
     // Randomly choose squish direction
     const squishClass = Math.random() < 0.5 ? "squish-right" : "squish-left";
-    const animClass = isFalsePositive ? "head-shake" : squishClass;
+    const animClass = isError ? "head-shake" : squishClass;
 
     // Animate the background cell
     if (currentBgCell) {
@@ -1801,7 +2892,7 @@ function handleMatch() {
             if (currentBgCell) {
                 currentBgCell.classList.remove("squish-right", "squish-left", "head-shake");
             }
-        }, isFalsePositive ? 500 : 120);
+        }, isError ? 500 : 120);
     }
 
     // Also animate the colored overlay cell if it exists and is visible
@@ -1814,65 +2905,159 @@ function handleMatch() {
             if (currentActiveCell) {
                 currentActiveCell.classList.remove("squish-right", "squish-left", "head-shake");
             }
-        }, isFalsePositive ? 500 : 120);
+        }, isError ? 500 : 120);
     }
+}
 
-    // Don't count clicks before the first n is reached for accuracy
-    if (index <= n) return;
+// Start of every response: false when the click is ignored entirely
+function acceptResponseInput() {
+    if (!isRunning || isPaused) return false;
 
-    if (roundLocked) return; // already clicked this round for scoring
+    // During missed match headshake, ignore clicks entirely
+    if (missedShakeActive) return false;
 
-    roundLocked = true; // lock for the rest of this round
+    // Two button mode: too late for this tile, it stays an omission
+    if (!roundLocked && isPastResponseDeadline()) return false;
 
-    const { lastTrial, wasMatch } = getLastTrialInfo();
-    const correct = wasMatch; // clicking on a match is correct
+    // Click before headshake started, cancel it
+    if (missedShakeTimerId) {
+        clearTimeout(missedShakeTimerId);
+        missedShakeTimerId = null;
+    }
+    return true;
+}
 
+// Hit and false alarm counters and the streak for a Match click
+function countMatchClick(wasMatch) {
     if (wasMatch) {
         correctMatches++;
         currentStreak++;
         if (currentStreak > longestStreak) {
             longestStreak = currentStreak;
         }
-
     } else {
         incorrectMatches++;
         currentStreak = 0; // break streak on false positive
+    }
+}
+
+function handleMatch() {
+    if (!acceptResponseInput()) return;
+
+    // Too early for this tile: answers the one before while it is held
+    const click = assignClick();
+    if (click.assigned === "late") {
+        answerPendingResponse();
+        return;
+    }
+
+    // Check if this is a false positive (for animation choice)
+    const isFalsePositive = falsePositiveLocked || (index > n && !roundLocked && !getLastTrialInfo().wasMatch);
+    animateResponse(isFalsePositive);
+
+    // Don't count clicks before the first n is reached for accuracy
+    if (index <= n) return;
+
+    if (roundLocked) { // already clicked this round for scoring
+        recordSecondTap();
+        return;
+    }
+
+    roundLocked = true; // lock for the rest of this round
+    stimulusScheduler.endResponse();
+
+    const { lastTrial, wasMatch, isLure } = getLastTrialInfo();
+    if (!wasMatch) {
         falsePositiveLocked = true;
     }
 
-    // Record response in nback engine
+    // Record response in nback engine once a double tap is ruled out
     if (nbackEngine) {
         const reactionTime = reactionTimer.recordResponse();
+        holdAnswer({ trial: lastTrial, wasMatch, isLure, reactionTime, response: 'match', tapTime: performance.now() });
+    }
+}
 
-        // Pass wasMatch to onUserResponse (it no longer computes it internally)
-        nbackEngine.onUserResponse(true, wasMatch, reactionTime);
+// Two button mode: the player says this tile is not a match
+function handleNoMatch() {
+    if (!dualResponseMode || !acceptResponseInput()) return;
 
-        // Update the trial in trialHistory with response data
-        updateLastTrialWithResponse(wasMatch, true, correct, reactionTime);
+    // Nothing is held in two button mode, an early click answers this tile
+    assignClick();
 
-        // Update daily progress tracking
-        updateDailyProgress({
-            n: nbackEngine.getCurrentN(),
-            wasMatch: wasMatch,
-            userClicked: true,
-            currentLoad: lastTrial ? lastTrial.currentLoad : 0
-        });
+    // Saying No match to a match is the error here
+    const isMiss = index > n && !roundLocked && getLastTrialInfo().wasMatch;
+    animateResponse(isMiss);
 
-        updateStatsDisplay();
+    // Don't count answers before the first n is reached for accuracy
+    if (index <= n) return;
 
-        // Live update graph if it's showing
-        if (IS_LOCAL_HOST && graphShowing) {
-            updateGraphDisplay();
-        }
+    if (roundLocked) { // already answered this round
+        recordSecondTap();
+        return;
+    }
+
+    roundLocked = true; // lock for the rest of this round
+    stimulusScheduler.endResponse();
+
+    const { lastTrial, wasMatch, isLure } = getLastTrialInfo();
+
+    if (nbackEngine) {
+        // No match answers do not feed the match click average
+        const reactionTime = reactionTimer.elapsed();
+        holdAnswer({ trial: lastTrial, wasMatch, isLure, reactionTime, response: 'noMatch', tapTime: performance.now() });
     }
 }
 
+// Score a Match / No match answer to the tile it was given on (holdAnswer)
+function scoreAnswer(answer) {
+    const { trial, wasMatch, isLure, reactionTime, response } = answer;
+    const userClicked = response === 'match';
+    const correct = userClicked === wasMatch; // a No match answer is an active correct rejection
+
+    // Pass wasMatch to onUserResponse (it no longer computes it internally)
+    const result = nbackEngine.onUserResponse(userClicked, wasMatch, reactionTime, { isLure, dualResponse: dualResponseMode, secondTap: answer.secondTap, timingFlagged: isTimingFlagged(trial) });
+
+    // Update the trial in trialHistory with response data
+    updateTrialWithResponse(trial, wasMatch, userClicked, correct, reactionTime, response);
+
+    // Anticipations, double taps and frame drops count nowhere
+    if (result.rejection) {
+        rejectTrial(trial, result.rejection, wasMatch);
+        return;
+    }
+
+    if (userClicked) {
+        countMatchClick(wasMatch);
+    } else if (wasMatch) {
+        currentStreak = 0; // a match answered No match
+    }
+
+    // Update daily progress tracking
+    updateDailyProgress({
+        n: nbackEngine.getCurrentN(),
+        wasMatch: wasMatch,
+        userClicked: userClicked,
+        currentLoad: trial ? trial.currentLoad : 0
+    });
+
+    // Stats display refreshes on the engine 'response' event
+
+    // Live update graph if it's showing
+    if (IS_LOCAL_HOST && graphShowing) {
+        updateGraphDisplay();
+    }
+}
 
 // ------------------ Controls ------------------
 
-function startGame() {
+// resume: pending interrupted round from offerRoundResume(), null starts a new round
+function startGame(resume = null) {
     if (isRunning) return;
 
+    // Starting a new round gives up the interrupted one
+    if (!resume) discardRoundResume();
+
     // Initialize game state
     index = 0;
     rounds = 0;
@@ -1884,6 +3069,7 @@ function startGame() {
     isRunning = true;
     goalReachedBeforeGame = elapsedSeconds >= HEATMAP_TARGET_SECONDS;
     reactionTimer.reset(); // reset reaction timer for new game
+    lastEngagedTime = null;
 
     // Stop any locked button vibration from end screen
     stopLockedButtonVibration();
@@ -1891,16 +3077,29 @@ function startGame() {
     // Stop start button animation
     startBtn.classList.remove("animate");
 
-    // Increment round ID for trial history boundary detection
-    currentRoundId++;
+    trialStartSnapshot = null;
+    trialStartPending = null;
 
-    // Initialize or continue nback engine
-    if (!nbackEngine) {
-        nbackEngine = loadNBackProfile(n) || new NBackEngine({ startN: n, colors: COLORS });
+    let profileLoaded = false; // profile read from storage, its break is already measured
+    if (resume) {
+        // Counters, round ID and engine continue from the snapshot
+        restoreRoundSnapshot(resume);
+    } else {
+        // Increment round ID for trial history boundary detection
+        currentRoundId++;
+
+        // Initialize or continue nback engine
+        if (!nbackEngine) {
+            nbackEngine = loadNBackProfile(n) || new NBackEngine({ startN: n, colors: COLORS });
+            profileLoaded = true;
+        }
     }
 
     // Initialize cell hiding based on how long player was away
-    if (wasPlayerAwayTooLong()) {
+    if (resume) {
+        // Resumed round keeps its layout, the engine snapshot already excludes those cells
+        applyDeactivatedCells();
+    } else if (wasPlayerAwayTooLong()) {
         // Player was away > 10 min
         deactivateCellHiding();
         accumulatedPlayTime = 0;
@@ -1910,7 +3109,14 @@ function startGame() {
         // drop recency but keep strategic knowledge
         const saved = nbackEngine.toJSON();
         nbackEngine = new NBackEngine({ startN: n, colors: COLORS });
-        nbackEngine.warmStart(saved.strategic, null);
+        nbackEngine.warmStart(saved.strategic, null, saved.rng);
+
+        // Break with the page left open: the first trials feed the forgetting curve
+        if (!profileLoaded && lastActivityTimestamp) {
+            nbackEngine.startBreakProbe((Date.now() - lastActivityTimestamp) / (1000 * 60 * 60),
+                saved.strategic.theta, saved.strategic.thetaVariance);
+        }
+        sessionNLevels = [];
         console.log("Player was away > 10 min, drop recency data: rolling windows etc.");
 
     } else {
@@ -1940,8 +3146,18 @@ function startGame() {
         // If warmup not complete yet, accumulatedPlayTime preserves progress
     }
 
+    attachEngineListeners(nbackEngine);
+
+    // A resumed round keeps auditing from where it stopped (and keeps its plan)
+    if (!resume) {
+        nbackEngine.startRoundAudit();
+        nbackEngine.startMasteryTest();
+        startRoundBlock();
+    }
+
     // Mark start of this game round
     currentGameStartTime = Date.now();
+    if (!resume) sessionNLevels.push(n);
 
     // Hide results banner and clear stats
     hideBanner();
@@ -1969,18 +3185,19 @@ function startGame() {
     // Update button visibility (game is now in playing mode)
     startBtn.style.display = "none";
     matchBtn.style.display = "inline-block";
+    matchBtn.classList.toggle("dual", dualResponseMode);
+    noMatchBtn.style.display = dualResponseMode ? "inline-block" : "none";
     stopBtn.style.display = "inline-block";
     roundProgressContainer.style.display = "block";
     roundProgressContainer.classList.remove("end-screen");
 
-    // Reset round progress circle to empty
-    if (roundProgressCircle) {
-        roundProgressCircle.style.setProperty('--fill-pct', '0%');
-    }
+    // Round progress circle starts empty (or where the resumed round stopped)
+    updateRoundProgressCircle();
 
     startBtn.disabled = true;
     stopBtn.disabled = false;
     matchBtn.disabled = false;
+    noMatchBtn.disabled = !dualResponseMode;
 
     // Update n-back buttons to playing state
     updateNBackButtons();
@@ -1998,29 +3215,32 @@ function startGame() {
         grid.classList.remove("grid-bounce");
 
         // Add another small pause after animation completes
-        setTimeout(() => {
-            nextStimulus();
-            scheduleNextStimulus();
-        }, 500); // small pause after animation
+        setTimeout(startStimulusLoop, 500); // small pause after animation
     }, 450); // slightly longer than animation duration (400ms) for better feel
 }
 
-function scheduleNextStimulus() {
-    if (!isRunning) return;
+// Frame driven stimulus loop (StimulusScheduler), the first tile right away
+function startStimulusLoop() {
+    if (!isRunning || isPaused) return;
 
-    const delay = IS_LOCAL_HOST ? getAdaptiveInterval() / speedMultiplier : getAdaptiveInterval();
-    intervalId = setTimeout(() => {
-        if (!isRunning) return;
-        nextStimulus();
-        scheduleNextStimulus(); // schedule the next one recursively
-    }, delay);
+    stimulusScheduler.start(0, {
+        onOnset: nextStimulus,
+        onPainted: timing => reactionTimer.setOnset(timing.onset),
+        getInterval: getStimulusInterval
+    });
 }
 
-function stopGame(autoEnded = false) {
+// stopReason: STOP_REASONS key. A manual stop becomes manualDifficulty when
+// the engine judges it difficulty related (assessManualStop)
+function stopGame(autoEnded = false, stopReason = autoEnded ? 'completed' : 'manual') {
     if (!isRunning) return;
 
-    clearTimeout(intervalId);
-    intervalId = null;
+    // A tile still in its grace period ends unanswered, a held answer counts
+    scoreHeldAnswer();
+    scorePendingResponse();
+
+    endPause();
+    stimulusScheduler.stop();
 
     stopDailyTimer();
 
@@ -2100,12 +3320,14 @@ function stopGame(autoEnded = false) {
     // Update button visibility
     startBtn.style.display = "inline-block";
     matchBtn.style.display = "none";
+    noMatchBtn.style.display = "none";
     stopBtn.style.display = "none";
     roundProgressContainer.style.display = "none";
 
     startBtn.disabled = false;
     stopBtn.disabled = true;
     matchBtn.disabled = true;
+    noMatchBtn.disabled = true;
 
     // Update n-back buttons to idle state
     updateNBackButtons();
@@ -2141,21 +3363,55 @@ function stopGame(autoEnded = false) {
 
     // Check if manual stop was difficulty related
     if (!autoEnded && nbackEngine && rounds >= 10) {
-        nbackEngine.onManualStop();
+        if (nbackEngine.onManualStop()) stopReason = 'manualDifficulty';
+    }
+
+    // Round is over, nothing left to resume
+    clearRoundSnapshot();
+
+    // Score the generated sequence and keep the report with the round
+    if (nbackEngine && rounds >= 1) {
+        const audit = nbackEngine.getRoundAudit();
+        roundAudits.set(currentRoundId, audit);
+        roundStopReasons.set(currentRoundId, stopReason);
+
+        // First session on a seeded level: did the prediction hold
+        const transferReport = nbackEngine.assessTransfer();
+        if (transferReport) {
+            const rtText = transferReport.rtError !== null
+                ? `, RT ${Math.round(transferReport.predictedRtMedian)}ms predicted, ${Math.round(transferReport.measuredRtMedian)}ms measured`
+                : '';
+            console.log(`${transferReport.toN}-back prediction from ${transferReport.fromN}-back: theta ${transferReport.predictedTheta.toFixed(2)} predicted, ${transferReport.measuredTheta.toFixed(2)} measured over ${transferReport.trials} trials${rtText}`);
+        }
+        if (audit.conditionalEntropy !== null) {
+            const modelBits = audit.modelTransitionEntropy !== null ? audit.modelTransitionEntropy.toFixed(2) : '-';
+            console.log(`Round ${currentRoundId} transition entropy: ${audit.conditionalEntropy.toFixed(2)} bits measured, ${modelBits} bits modelled`);
+        }
+        if (audit.flags.length > 0) {
+            console.warn(`Round ${currentRoundId} sequence audit flags: ${audit.flags.join(', ')}`);
+        }
     }
 
     // Save all data to disk on game end
     saveTrialHistory();
+    saveResponseWindow();
     savePerformanceToDisk();
     saveNBackProfile(n);
 
+    const autoNDecision = getAutoNDecision(autoEnded);
+
     if (rounds >= 1 || autoEnded) {
-        showResults();
+        showResults(autoNDecision, stopReason);
     } else {
         // No results to show, just display banner with heatmap
         showBanner(false);
     }
 
+    // Auto N: swap in the profile of the next level after the results used this one
+    if (autoNDecision && autoNDecision.to !== n) {
+        switchNLevel(autoNDecision.to);
+    }
+
     // Confetti when the daily 20min goal was just reached during this game
     if (!goalReachedBeforeGame && elapsedSeconds >= HEATMAP_TARGET_SECONDS) {
         setTimeout(() => launchConfetti(), 600);
@@ -2254,7 +3510,11 @@ function launchConfetti() {
 
 // ------------------ Results ------------------
 
-function showResults() {
+function showResults(autoNDecision = null, stopReason = 'completed') {
+    // N of the round that just ended (auto N may switch levels before the
+    // accuracy animation finishes)
+    const roundN = n;
+
     // New formula: correct_clicks / (total_targets + wrong_clicks)
     const denominator = totalTargets + incorrectMatches;
 
@@ -2266,7 +3526,7 @@ function showResults() {
     // Get memory load info (session average)
     let memoryLoadHtml = '';
     let loadPercent = 0; // ratio 0..1
-    const maxUniqueColors = n + 1;
+    const maxUniqueColors = getMaxUniqueColors();
     let avgLoad = 1;
     const roundTrials = getCurrentRoundTrials();
     if (nbackEngine && roundTrials.length > 0) {
@@ -2279,11 +3539,11 @@ function showResults() {
         loadPercent = (avgLoad - 1) / (maxUniqueColors - 1);
         let loadColor;
         if (loadPercent <= 0.33) {
-            loadColor = COLORS.find(c => c.name === "green").color; // easy
+            loadColor = LOAD_COLORS.easy;
         } else if (loadPercent <= 0.66) {
-            loadColor = COLORS.find(c => c.name === "orange").color; // medium
+            loadColor = LOAD_COLORS.medium;
         } else {
-            loadColor = COLORS.find(c => c.name === "red").color; // hard
+            loadColor = LOAD_COLORS.hard;
         }
 
         const TOTAL_SEGMENTS = 4;
@@ -2296,8 +3556,84 @@ function showResults() {
             </div>`;
     }
 
+    // Lure false alarms are reported apart from ordinary ones: clicking on
+    // an n-1 / n+1 / n+2 repeat means familiarity, not a failed update
+    let lureHtml = '';
+    const lureTrials = roundTrials.filter(t => t.isLure && t.userClicked !== null && !t.rejected);
+    if (lureTrials.length > 0) {
+        const lureFalseAlarms = lureTrials.filter(t => t.userClicked).length;
+        const ordinaryFalseAlarms = incorrectMatches - lureFalseAlarms;
+        lureHtml = `
+            <div style="font-size: 12px; color: #888; margin-top: 4px;">
+                Lures resisted: ${lureTrials.length - lureFalseAlarms} / ${lureTrials.length}
+                <span style="margin: 0 6px; color: #ccc;">|</span>
+                Other false alarms: ${ordinaryFalseAlarms}
+            </div>`;
+    }
+
+    // Two button mode: tiles left unanswered before the deadline
+    let omissionHtml = '';
+    if (roundTrials.some(t => t.omission || t.response === 'noMatch')) {
+        const answered = roundTrials.filter(t => t.response !== null && t.response !== undefined && !t.rejected).length;
+        const omissions = roundTrials.filter(t => t.omission).length;
+        omissionHtml = `
+            <div style="font-size: 12px; color: #888; margin-top: 4px;">
+                Answered: ${answered} / ${answered + omissions}
+                <span style="margin: 0 6px; color: #ccc;">|</span>
+                Omissions: ${omissions}
+            </div>`;
+    }
+
+    // Rejected trials, already left out of the numbers above
+    let rejectedHtml = '';
+    const rejections = summarizeRejections(roundTrials);
+    if (rejections.total > 0) {
+        const parts = Object.keys(REJECTION_LABELS)
+            .filter(reason => rejections[reason] > 0)
+            .map(reason => `${rejections[reason]} ${REJECTION_LABELS[reason]}`);
+        rejectedHtml = `
+            <div style="font-size: 12px; color: #888; margin-top: 4px;">
+                Not counted: ${parts.join(' · ')}
+            </div>`;
+    }
+
+    // Auto N: levels visited this session and where the next round goes
+    let autoNHtml = '';
+    if (autoNDecision) {
+        const arrow = autoNDecision.direction > 0 ? '↑' : autoNDecision.direction < 0 ? '↓' : '→';
+        autoNHtml = `
+            <div style="font-size: 12px; color: #888; margin-top: 4px;">
+                Auto N: ${sessionNLevels.join(' · ')}
+                <span style="margin: 0 6px; color: #ccc;">|</span>
+                Next: ${autoNDecision.to}-back ${arrow}
+            </div>`;
+    }
+
+    // Mastery SPRT: decision and evidence ratio from trials near max load
+    let masteryHtml = '';
+    const mastery = nbackEngine ? nbackEngine.getMasteryStatus() : null;
+    const mastered = !!nbackEngine && nbackEngine.isMastered();
+    if (mastery && mastery.trialsRecorded > 0) {
+        let masteryText = 'testing';
+        if (mastered) {
+            masteryText = 'passed';
+        } else if (mastery.decision === 'notYet') {
+            masteryText = 'not yet';
+        }
+        masteryHtml = `
+            <div style="font-size: 12px; color: #888; margin-top: 4px;">
+                Mastery test: ${masteryText}
+                <span style="margin: 0 6px; color: #ccc;">|</span>
+                Evidence ${formatEvidenceRatio(mastery.evidenceRatio)}
+            </div>`;
+    }
+
+    // Why the round ended, and that the next one starts easier when the engine eased off
+    const reason = STOP_REASONS[stopReason] || STOP_REASONS.completed;
+    const easedText = reason.eased ? ', next round starts easier' : '';
+
     // Generate positive insight
-    const insightText = generatePositiveInsight(percentage, rounds, loadPercent <= 0.33);
+    const insightText = generatePositiveInsight(percentage, rounds, loadPercent <= 0.33, stopReason);
     const insightHtml = insightText ? `<div style="font-size: 13px; margin-top: 7px; font-weight: 500; font-style: italic;"><span>${insightText}</span></div>` : '';
 
     // Save accuracy for next round comparison
@@ -2316,7 +3652,14 @@ function showResults() {
             </div>
             <div style="font-size: 12px; color: #888;">
                 Rounds: ${rounds}
+                <span style="margin: 0 6px; color: #ccc;">|</span>
+                ${reason.text}${easedText}
             </div>
+            ${lureHtml}
+            ${omissionHtml}
+            ${rejectedHtml}
+            ${masteryHtml}
+            ${autoNHtml}
             ${memoryLoadHtml}
             <br>
             ${insightHtml}
@@ -2353,10 +3696,10 @@ function showResults() {
             display.textContent = percentage;
 
             // Check if we should unlock the next level (requires minimum rounds)
-            checkAndUnlockNextLevel(n, percentage, rounds, avgLoad / maxUniqueColors);
+            checkAndUnlockNextLevel(roundN, percentage, rounds, avgLoad / maxUniqueColors, mastered);
 
             // Check if this level has been mastered
-            checkAndAwardMastery(n, percentage, rounds, avgLoad / maxUniqueColors);
+            checkAndAwardMastery(roundN, percentage, rounds, avgLoad / maxUniqueColors, mastered);
 
             // Update button colors immediately after saving accuracy
             updateNBackButtons();
@@ -2369,6 +3712,12 @@ function showResults() {
     startLockedButtonVibration(loadPercent <= 0.33);
 }
 
+// Likelihood ratio as odds, "12:1" for mastery, "1:4" against
+function formatEvidenceRatio(ratio) {
+    if (ratio >= 1) return `${Math.round(ratio)}:1`;
+    return `1:${Math.round(1 / ratio)}`;
+}
+
 // Start animation on a single target button to draw attention
 // If playing at highest unlocked level: animate the first locked button
 // If playing a lower unlocked level: animate the highest unlocked button
@@ -2417,11 +3766,23 @@ document.addEventListener("keydown", (e) => {
         e.preventDefault();
         stopGame(false);
     }
+
+    // Two button mode: F / left arrow No match, J / right arrow Match
+    if (dualResponseMode && isRunning) {
+        if (e.code === "KeyF" || e.code === "ArrowLeft") {
+            e.preventDefault();
+            handleNoMatch();
+        } else if (e.code === "KeyJ" || e.code === "ArrowRight") {
+            e.preventDefault();
+            handleMatch();
+        }
+    }
 });
 
 // Buttons also work
 matchBtn.addEventListener("click", handleMatch);
-startBtn.addEventListener("click", startGame);
+noMatchBtn.addEventListener("click", handleNoMatch);
+startBtn.addEventListener("click", () => startGame());
 stopBtn.addEventListener("click", () => stopGame(false));
 
 
@@ -2494,7 +3855,15 @@ document.addEventListener("visibilitychange", () => {
     if (document.hidden) {
         // Tab is being hidden, record timestamp
         tabHiddenTimestamp = Date.now();
+
+        // The tab may be killed from here on, keep the round resumable
+        pauseGame("tab hidden");
+        if (isRunning) saveRoundSnapshot();
     } else {
+        // Round is still alive in this page, the stored snapshot is stale
+        if (isRunning) clearRoundSnapshot();
+        if (isPlayerPresent()) startPauseCountdown();
+
         // Tab is visible again
         if (tabHiddenTimestamp) {
             const awayDuration = Date.now() - tabHiddenTimestamp;
@@ -2510,10 +3879,354 @@ document.addEventListener("visibilitychange", () => {
     }
 });
 
+// ------------------ Round Suspend / Resume ------------------
+
+// A running round is written to localStorage when the tab is hidden or
+// unloaded. On the next page load the player can continue it from the
+// exact trial it stopped at (the engine snapshot replays the same tiles).
+const ROUND_SNAPSHOT_KEY = "roundSnapshot";
+const ROUND_SNAPSHOT_SCHEMA_VERSION = 1;
+const ROUND_RESUME_MAX_AGE = 6 * 60 * 60 * 1000; // older rounds only count as played
+
+let trialStartSnapshot = null; // taken before each tile, used while that tile is unanswered
+let trialStartPending = null; // tile held in its grace period when trialStartSnapshot was taken
+let pendingResume = null; // { snapshot, engine } offered on page load
+
+const resumePrompt = document.getElementById("resumePrompt");
+const resumeText = document.getElementById("resumeText");
+const resumeBtn = document.getElementById("resumeBtn");
+const discardResumeBtn = document.getElementById("discardResumeBtn");
+
+function captureRoundSnapshot() {
+    return {
+        schemaVersion: ROUND_SNAPSHOT_SCHEMA_VERSION,
+        savedAt: Date.now(),
+        n: n,
+        paletteId: activePalette.id,
+        roundId: currentRoundId,
+        trialCount: getCurrentRoundTrials().length,
+        index,
+        rounds,
+        correctMatches,
+        incorrectMatches,
+        totalTargets,
+        currentStreak,
+        longestStreak,
+        sessionNLevels: sessionNLevels.slice(),
+        playTime: getRoundPlayTime(),
+        engine: nbackEngine.snapshot()
+    };
+}
+
+// An answered tile is part of the snapshot. An unanswered one is dropped:
+// the snapshot from before it was generated shows it again on resume.
+function saveRoundSnapshot() {
+    if (!isRunning || !nbackEngine) return;
+
+    try {
+        const snapshot = roundLocked || !trialStartSnapshot ? captureRoundSnapshot() : trialStartSnapshot;
+        snapshot.savedAt = Date.now();
+
+        // Trials and daily totals so far must be on disk for the snapshot to line up
+        saveTrialHistory();
+        saveResponseWindow();
+        savePerformanceToDisk();
+        localStorage.setItem(ROUND_SNAPSHOT_KEY, JSON.stringify(snapshot));
+    } catch (e) {
+        console.error("Failed to save round snapshot:", e);
+    }
+}
+
+function clearRoundSnapshot() {
+    try {
+        localStorage.removeItem(ROUND_SNAPSHOT_KEY);
+    } catch (e) {
+        console.error("Failed to clear round snapshot:", e);
+    }
+}
+
+// Returns { snapshot, engine } for a round that can be resumed, or null
+function loadRoundSnapshot() {
+    const saved = localStorage.getItem(ROUND_SNAPSHOT_KEY);
+    if (!saved) return null;
+
+    let snapshot;
+    try {
+        snapshot = migrateSchema(JSON.parse(saved), ROUND_SNAPSHOT_SCHEMA_VERSION, {});
+        if (!snapshot || !snapshot.engine) throw new Error("snapshot has no engine state");
+    } catch (e) {
+        reportUnrecoverable(ROUND_SNAPSHOT_KEY, "Interrupted round", e.message, saved);
+        return null;
+    }
+
+    // Rounds that no longer fit the current setup are kept as played, not resumed
+    let reason = null;
+    if (Date.now() - snapshot.savedAt > ROUND_RESUME_MAX_AGE) reason = "too old";
+    else if (snapshot.n !== n) reason = `played on ${snapshot.n}-back`;
+    else if (snapshot.paletteId !== activePalette.id) reason = "palette changed";
+    if (reason) {
+        console.log(`Interrupted round not resumable (${reason})`);
+        clearRoundSnapshot();
+        return null;
+    }
+
+    try {
+        const engine = new NBackEngine({ startN: n, colors: COLORS });
+        engine.restoreSnapshot(snapshot.engine);
+        return { snapshot, engine };
+    } catch (e) {
+        reportUnrecoverable(ROUND_SNAPSHOT_KEY, "Interrupted round", e.message, saved);
+        return null;
+    }
+}
+
+// Called on page load: show the resume prompt for an interrupted round
+function offerRoundResume() {
+    pendingResume = loadRoundSnapshot();
+    if (!pendingResume || !resumePrompt) return;
+
+    // The restored engine is the current one either way, discarding keeps
+    // what it learned in the played part of the round
+    nbackEngine = pendingResume.engine;
+
+    const snapshot = pendingResume.snapshot;
+    resumeText.textContent = `Your ${snapshot.n}-back round stopped at trial ${snapshot.rounds + 1} of ${TOTAL_ROUNDS}.`;
+    resumePrompt.style.display = "block";
+}
+
+function hideResumePrompt() {
+    if (resumePrompt) resumePrompt.style.display = "none";
+}
+
+// Give up the interrupted round. Its trials stay in the history, its play
+// time and engine state are kept like after a normal round.
+function discardRoundResume() {
+    if (!pendingResume) return;
+
+    accumulatedPlayTime += pendingResume.snapshot.playTime || 0;
+    saveCellHidingState();
+    if (nbackEngine === pendingResume.engine) saveNBackProfile(n);
+
+    pendingResume = null;
+    clearRoundSnapshot();
+    hideResumePrompt();
+}
+
+// Put the interrupted round's counters and engine back (from startGame)
+function restoreRoundSnapshot(resume) {
+    const snapshot = resume.snapshot;
+
+    nbackEngine = resume.engine;
+    currentRoundId = snapshot.roundId;
+    sessionNLevels = snapshot.sessionNLevels || [n];
+    accumulatedPlayTime += snapshot.playTime || 0;
+    applyRoundCounters(snapshot);
+
+    console.log(`Resuming ${n}-back round ${currentRoundId} at trial ${rounds + 1}`);
+}
+
+// Round counters and trial history back to the snapshot point of the current round
+function applyRoundCounters(snapshot) {
+    index = snapshot.index;
+    rounds = snapshot.rounds;
+    correctMatches = snapshot.correctMatches;
+    incorrectMatches = snapshot.incorrectMatches;
+    totalTargets = snapshot.totalTargets;
+    currentStreak = snapshot.currentStreak;
+    longestStreak = snapshot.longestStreak;
+
+    // Nothing pending: the next nextStimulus() must not score a non response
+    roundLocked = true;
+    falsePositiveLocked = false;
+
+    // Drop an unanswered tile that is not part of the snapshot
+    const roundTrials = trialHistory.get(currentRoundId) || [];
+    roundTrials.length = Math.min(roundTrials.length, snapshot.trialCount);
+    trialHistory.set(currentRoundId, roundTrials);
+}
+
+function setupRoundResume() {
+    if (!resumePrompt) return;
+
+    resumeBtn.addEventListener("click", () => {
+        const resume = pendingResume;
+        pendingResume = null;
+        hideResumePrompt();
+
+        // N or palette changed since the offer: the round cannot continue
+        if (!resume || nbackEngine !== resume.engine) {
+            clearRoundSnapshot();
+            return;
+        }
+        clearRoundSnapshot();
+        startGame(resume);
+    });
+
+    discardResumeBtn.addEventListener("click", discardRoundResume);
+}
+
+// pagehide also covers closing the tab and mobile browsers unloading it.
+// Pausing first scores a tile still in its grace period.
+window.addEventListener("pagehide", () => {
+    pauseGame("page hidden");
+    if (isRunning) saveRoundSnapshot();
+});
+
+setupRoundResume();
+offerRoundResume();
+
+// ------------------ Pause ------------------
+
+// A round pauses when the tab is hidden or the window loses focus, so time
+// spent in another app is not scored as missed matches. The stimulus loop
+// and the daily timer stop, the unanswered tile is taken back (engine and
+// counters return to the state before it) and shown again after a short
+// countdown once the player is back.
+const PAUSE_COUNTDOWN_SECONDS = 3;
+
+let isPaused = false;
+let pauseStartTime = null;
+let pauseCountdownId = null;
+
+const pauseOverlay = document.getElementById("pauseOverlay");
+
+// Play time of the running round without the paused stretch
+function getRoundPlayTime() {
+    if (!currentGameStartTime) return 0;
+    return (isPaused ? pauseStartTime : Date.now()) - currentGameStartTime;
+}
+
+function pauseGame(reason) {
+    if (!isRunning) return;
+
+    // Away again during the countdown: keep waiting
+    if (isPaused) {
+        cancelPauseCountdown();
+        showPauseOverlay("Paused");
+        return;
+    }
+
+    isPaused = true;
+    pauseStartTime = Date.now();
+
+    stimulusScheduler.stop();
+    clearTimeout(missedShakeTimerId);
+    missedShakeTimerId = null;
+    stopDailyTimer();
+
+    // An answer waiting out the double tap window counts as given
+    scoreHeldAnswer();
+
+    // Unanswered tile: the player may not have seen it, it is neither a
+    // response nor a miss. Going back to the state before it replays it.
+    // The tile before it was held in its grace period when the snapshot was
+    // taken: an answer or miss already recorded for it is scored again
+    if (!roundLocked && trialStartSnapshot) {
+        nbackEngine.restoreSnapshot(trialStartSnapshot.engine);
+        applyRoundCounters(trialStartSnapshot);
+        if (trialStartPending && trialStartPending.score) {
+            replayHeldResponse(trialStartPending);
+        }
+        updateRoundDisplay();
+    }
+
+    // Still in its grace period: it stays unanswered
+    scorePendingResponse();
+    reactionTimer.reset();
+    lastEngagedTime = null; // time away is no idle time
+
+    clearGrid();
+    showPauseOverlay("Paused");
+    console.log(`Round paused (${reason})`);
+}
+
+// Player is back: count down, then continue with the next stimulus
+function startPauseCountdown() {
+    if (!isPaused || pauseCountdownId !== null) return;
+
+    let remaining = PAUSE_COUNTDOWN_SECONDS;
+    const tick = () => {
+        if (remaining === 0) {
+            pauseCountdownId = null;
+            resumeGame();
+            return;
+        }
+        showPauseOverlay(String(remaining));
+        remaining--;
+        pauseCountdownId = setTimeout(tick, 1000);
+    };
+    tick();
+}
+
+function cancelPauseCountdown() {
+    clearTimeout(pauseCountdownId);
+    pauseCountdownId = null;
+}
+
+function resumeGame() {
+    if (!isPaused) return;
+
+    endPause();
+    if (!isRunning) return;
+
+    startDailyTimer();
+    startStimulusLoop();
+}
+
+// Leave the paused state without restarting the loop (also used by stopGame)
+function endPause() {
+    if (!isPaused) return;
+
+    cancelPauseCountdown();
+    hidePauseOverlay();
+
+    // Paused time does not count as play time
+    if (currentGameStartTime) currentGameStartTime += Date.now() - pauseStartTime;
+    isPaused = false;
+    pauseStartTime = null;
+}
+
+function showPauseOverlay(text) {
+    if (!pauseOverlay) return;
+    pauseOverlay.textContent = text;
+    pauseOverlay.style.display = "flex";
+}
+
+function hidePauseOverlay() {
+    if (pauseOverlay) pauseOverlay.style.display = "none";
+}
+
+function isPlayerPresent() {
+    return !document.hidden && document.hasFocus();
+}
+
+window.addEventListener("blur", () => pauseGame("focus lost"));
+window.addEventListener("focus", () => {
+    if (isPlayerPresent()) startPauseCountdown();
+});
+
 // ------------------ NOTE: all code below is for debugging only ------------------
 
 // ------------------ Stats Display ------------------
 
+// Debug panel lines for a SequenceAuditor report
+function formatAuditLines(label, audit) {
+    if (!audit || audit.trials === 0) return [`${label}: no trials`];
+    const pct = v => v === null ? '-' : `${Math.round(v * 100)}%`;
+    const bits = v => v === null ? '-' : v.toFixed(2);
+    return [
+        `${label}: match ${pct(audit.matchRate)}/${pct(audit.targetMatchRate)} forced ${audit.forcedMatches} gap ${audit.longestMatchGap}/${audit.maxGap}`,
+        `  run ${audit.longestRun} H ${bits(audit.meanWindowEntropy)}/${bits(audit.meanTargetEntropy)} trip ${audit.repeatedTriplets} repair ${audit.forceRepairs}`,
+        // measured vs modelled H(next | last) (reports before the transition model have neither)
+        ...(audit.conditionalEntropy !== undefined ? [`  H(next|last) ${bits(audit.conditionalEntropy)}/${bits(audit.modelTransitionEntropy)}`] : []),
+        // chunk patterns shown / steered around (reports before anti chunking have neither)
+        `  chunks ${audit.chunksSeen ? audit.chunksSeen.length : '-'}/${audit.chunksAvoided !== undefined ? audit.chunksAvoided : '-'}`
+            + (audit.chunksSeen && audit.chunksSeen.length > 0 ? ` (${[...new Set(audit.chunksSeen)].join(', ')})` : ''),
+        ...(audit.rhythmsSeen !== undefined ? [`  rhythm ${audit.rhythmsSeen}/${audit.rhythmsAvoided} (${pct(audit.rhythmicShare)} of tiles)`] : []),
+        ...(audit.flags.length > 0 ? [`  flags: ${audit.flags.join(', ')}`] : [])
+    ];
+}
+
 function updateStatsDisplay() {
     if (!IS_LOCAL_HOST) return;
 
@@ -2560,6 +4273,9 @@ function updateStatsDisplay() {
     const trendArrow = stats.thetaTrend > 0.005 ? '<strong>↑</strong>' : stats.thetaTrend < -0.005 ? '<strong>↓</strong>' : '<strong>→</strong>';
     display += makeLine(`<strong>Ability (d')</strong>`);
     display += makeLine(`Theta: ${theta} ${trendArrow} (trend: ${thetaTrend}) - ${thetaLabel}`);
+    if (stats.thetaLower !== undefined) {
+        display += makeLine(`Theta 95%: ${stats.thetaLower.toFixed(2)} to ${stats.thetaUpper.toFixed(2)} (var ${stats.thetaVariance.toFixed(3)})`);
+    }
 
     // Flow and Fatigue
     const fatiguePercent = Math.round((stats.fatigueIndex || 0) * 100);
@@ -2590,9 +4306,47 @@ function updateStatsDisplay() {
     const targetEntropy = (stats.targetEntropy || 0).toFixed(2);
     const windowEntropy = (stats.windowEntropy || 0).toFixed(2);
     display += makeLine(`Match Rate: ${((stats.matchRate || 0.30) * 100).toFixed(0)}% | Speed: ${((stats.stimulusInterval || 1.0) * 100).toFixed(0)}%`);
+    const lureFa = stats.lureFaRate !== null ? `${Math.round(stats.lureFaRate * 100)}%` : '-';
+    const ordinaryFa = stats.ordinaryFaRate !== null ? `${Math.round(stats.ordinaryFaRate * 100)}%` : '-';
+    display += makeLine(`Lure Rate: ${((stats.lureRate || 0) * 100).toFixed(0)}% | FA lure: ${lureFa} other: ${ordinaryFa}`);
+    if (stats.confusion) {
+        const closeFa = stats.confusion.closeFaRate !== null ? `${Math.round(stats.confusion.closeFaRate * 100)}%` : '-';
+        const farFa = stats.confusion.farFaRate !== null ? `${Math.round(stats.confusion.farFaRate * 100)}%` : '-';
+        display += makeLine(`Similarity: ${((stats.similarityBias || 0) * 100).toFixed(0)}% | FA close: ${closeFa} far: ${farFa}`);
+        const worstPair = stats.confusionPairs.filter(p => p.trials >= 5).sort((x, y) => y.faRate - x.faRate)[0];
+        if (worstPair) {
+            display += makeLine(`Most confused: ${worstPair.a}/${worstPair.b} ${worstPair.falseAlarms}/${worstPair.trials} (ΔE ${worstPair.distance !== null ? worstPair.distance.toFixed(0) : '-'})`);
+        }
+    }
+    if (stats.rhythmExploit) {
+        const rhythm = stats.rhythmExploit;
+        const rhythmAcc = rhythm.rhythmicAccuracy !== null ? `${Math.round(rhythm.rhythmicAccuracy * 100)}%` : '-';
+        const otherAcc = rhythm.otherAccuracy !== null ? `${Math.round(rhythm.otherAccuracy * 100)}%` : '-';
+        display += makeLine(`Rhythm acc: ${rhythmAcc} (${Math.round(rhythm.rhythmicTrials)}) other: ${otherAcc}${rhythm.exploiting ? ' EXPLOIT' : ''}`);
+    }
+    if (stats.transfer) {
+        const transfer = stats.transfer;
+        display += makeLine(transfer.result
+            ? `Transfer ${transfer.fromN}→${stats.currentN}: θ ${transfer.predictedTheta.toFixed(2)} pred, ${transfer.result.measuredTheta.toFixed(2)} meas`
+            : `Transfer ${transfer.fromN}→${stats.currentN}: θ ${transfer.predictedTheta.toFixed(2)} pred (measuring)`);
+    }
+    if (stats.forgetting) {
+        const forgetting = stats.forgetting;
+        display += makeLine(forgetting.tau !== null
+            ? `Forgetting: half life ${Math.round(forgetting.halfLifeHours)}h (${forgetting.observations} breaks)`
+            : forgetting.residual !== null
+                ? `Forgetting: fixed 96h (${forgetting.observations} breaks, fit error ${forgetting.residual.toFixed(2)})`
+                : `Forgetting: fixed 96h (${forgetting.observations}/${forgetting.minObservations} breaks)`);
+    }
+    if (stats.criterion !== null && stats.criterion !== undefined) {
+        const biasLabel = stats.criterion <= -BIAS_CRITERION_THRESHOLD ? 'liberal'
+            : stats.criterion >= BIAS_CRITERION_THRESHOLD ? 'conservative' : 'neutral';
+        display += makeLine(`Bias c: ${stats.criterion.toFixed(2)} | log β: ${stats.logBeta.toFixed(2)} (${biasLabel})`);
+    }
     const tseVal = (stats.tse || 0);
-    const tseRuns = tseVal < 0.99 ? Math.round(1 / (1 - (1 - 1 / (stats.currentN + 1)) * (1 - tseVal))) : 1;
-    display += makeLine(`TSE: ${(tseVal * 100).toFixed(0)}% (repeat~${tseRuns})`);
+    const transitionBits = stats.transitionEntropy !== undefined ? stats.transitionEntropy.toFixed(2) : '-';
+    const structuredShare = stats.transitionMix !== undefined ? Math.round((1 - stats.transitionMix) * 100) : 0;
+    display += makeLine(`TSE: ${(tseVal * 100).toFixed(0)}% (H ${transitionBits} bits, ${structuredShare}% structured)`);
 
     // Player capacity status
     display += '├────────────────────────────────────────────────────┤\n';
@@ -2615,11 +4369,41 @@ function updateStatsDisplay() {
         const sprtBar = sprt.logLR.toFixed(2);
         display += makeLine(`SPRT: ${sprtBar} [${sprt.acceptBound.toFixed(1)}..${sprt.stopBound.toFixed(1)}] ${sprt.decision}`);
     }
+    if (stats.mastery) {
+        const mastery = stats.mastery;
+        display += makeLine(`Mastery: ${mastery.logLR.toFixed(2)} [${mastery.rejectBound.toFixed(1)}..${mastery.masteryBound.toFixed(1)}] ${mastery.decision} (${mastery.trialsRecorded} at load, ${mastery.trialsSkipped} below)`);
+    }
 
     // Cognitive state info (RT stats)
     display += '├────────────────────────────────────────────────────┤\n';
     display += makeLine(`<strong>Cognitive State</strong>`);
     display += makeLine(`RT Median: ${Math.round(stats.rtMedian || 800)}ms | CV: ${(stats.rtCV || 0).toFixed(3)}`);
+    if (dualResponseMode) {
+        display += makeLine(`Omissions: ${Math.round((stats.omissionRate || 0) * 100)}% of window | deadline ${Math.round(getResponseDeadline())}ms`);
+    }
+
+    // Trials the engine rejected this round
+    const roundRejections = summarizeRejections(getCurrentRoundTrials());
+    if (roundRejections.total > 0) {
+        display += makeLine(`Rejected: ${roundRejections.anticipation} early | ${roundRejections.doubleTap} dbl | ${roundRejections.distracted} late | ${roundRejections.timing} frames`);
+    }
+
+    // Stimulus timing of the current tile (StimulusScheduler)
+    const timing = stimulusScheduler.timing;
+    if (isRunning && timing && timing.onset !== null) {
+        const shown = timing.displayMs !== null ? `${timing.displayMs}ms` : '-';
+        const lag = timing.onsetLag >= 0 ? `+${timing.onsetLag}` : `${timing.onsetLag}`;
+        display += makeLine(`Frame ${stimulusScheduler.frameDuration.toFixed(1)}ms | onset ${lag}ms | shown ${shown} | drops ${timing.droppedFrames}`);
+    }
+
+    // Late clicks at the three most played speeds
+    const lateReport = getLateResponseReport()
+        .sort((a, b) => b.clicks - a.clicks)
+        .slice(0, 3)
+        .sort((a, b) => a.intervalMs - b.intervalMs);
+    if (lateReport.length > 0) {
+        display += makeLine(`Late clicks: ${lateReport.map(r => `${r.intervalMs}ms ${Math.round(r.lateRate * 100)}%`).join(" | ")}`);
+    }
 
     // Cell hiding timing info
     display += '├────────────────────────────────────────────────────┤\n';
@@ -2654,6 +4438,34 @@ function updateStatsDisplay() {
         }
     }
 
+    // Sequence audit: live for the running round, then the last stored rounds
+    display += '├────────────────────────────────────────────────────┤\n';
+    display += makeLine(`<strong>Sequence Audit</strong>`);
+    const blockStatus = nbackEngine.getBlockStatus();
+    if (blockStatus) {
+        display += makeLine(`block ${blockStatus.index}/${blockStatus.length} K ${blockStatus.targetK} targets ${blockStatus.targets} lures ${blockStatus.lures}${blockStatus.lureSlack > 0 ? ` (±${blockStatus.lureSlack})` : ''}`);
+    }
+    if (isRunning) {
+        formatAuditLines('now', nbackEngine.getRoundAudit()).forEach(line => {
+            display += makeLine(line);
+        });
+    }
+    [...roundAudits.entries()].slice(-3).reverse().forEach(([roundId, audit]) => {
+        const stopReason = roundStopReasons.get(roundId);
+        formatAuditLines(`#${roundId}${stopReason ? ` (${stopReason})` : ''}`, audit).forEach(line => {
+            display += makeLine(line);
+        });
+    });
+
+    // Recent engine events (kChanged, phaseChanged, sustainFailed, sprtDecision)
+    if (engineEventLog.length > 0) {
+        display += '├────────────────────────────────────────────────────┤\n';
+        display += makeLine(`<strong>Events</strong>`);
+        engineEventLog.forEach(entry => {
+            display += makeLine(`  ${entry}`);
+        });
+    }
+
     // LocalStorage and memory usage
     display += '├────────────────────────────────────────────────────┤\n';
     const lsInfo = getLocalStorageInfo();
@@ -2756,10 +4568,9 @@ if (IS_LOCAL_HOST) {
             doubleSpeedBtn.style.fontWeight = "normal";
         }
 
-        // Restart the interval with new speed
-        if (intervalId) {
-            clearTimeout(intervalId);
-            scheduleNextStimulus();
+        // Next onset at the new speed
+        if (stimulusScheduler.isRunning()) {
+            stimulusScheduler.replan();
         }
     }
 
@@ -3020,7 +4831,7 @@ if (IS_LOCAL_HOST) {
             const colorHex = colorEntry ? colorEntry.color : '#999';
             const isMatch = trial.wasMatch;
             const userClicked = trial.userClicked;
-            const isError = (userClicked && !isMatch) || (!userClicked && isMatch);
+            const isError = !trial.rejected && ((userClicked && !isMatch) || (!userClicked && isMatch));
 
             // Background color based on status
             let bgColor = '#fff';
@@ -3043,6 +4854,10 @@ if (IS_LOCAL_HOST) {
                 html += `<span style="background: #4caf50; color: white; padding: 1px 4px; border-radius: 2px; font-size: 9px; font-weight: bold;">M</span>`;
             }
 
+            if (trial.isLure) {
+                html += `<span style="background: #9c27b0; color: white; padding: 1px 4px; border-radius: 2px; font-size: 9px; font-weight: bold;">L</span>`;
+            }
+
             if (isError) {
                 const errorSymbol = userClicked && !isMatch ? '✗' : '!';
                 html += `<span style="background: #f44336; color: white; padding: 1px 4px; border-radius: 2px; font-size: 9px; font-weight: bold;">${errorSymbol}</span>`;
@@ -3052,6 +4867,10 @@ if (IS_LOCAL_HOST) {
                 html += `<span style="background: #ffeb3b; padding: 1px 4px; border-radius: 2px; font-size: 9px; font-weight: bold;">✓</span>`;
             }
 
+            if (trial.rejected) {
+                html += `<span style="background: #9e9e9e; color: white; padding: 1px 4px; border-radius: 2px; font-size: 9px; font-weight: bold;" title="${trial.rejected}">R</span>`;
+            }
+
             html += `</div>`;
             html += `</div>`;
         });
@@ -3144,8 +4963,8 @@ if (IS_LOCAL_HOST) {
         for (let i = 0; i < trialCount; i++) {
             const t = trials[i];
 
-            // Skip if outcome not yet recorded
-            if (t.wasMatch === null || t.userClicked === null) continue;
+            // Skip if outcome not yet recorded (or rejected)
+            if (t.wasMatch === null || t.userClicked === null || t.rejected) continue;
 
             const x = padding.left + (i / Math.max(trialCount - 1, 1)) * graphWidth;
             const y = padding.top + graphHeight - ((t.currentLoad - minLoad) / (maxUniqueColors - minLoad)) * graphHeight;
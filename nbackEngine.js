@@ -24,6 +24,65 @@ class LowPassFilter {
   }
 }
 
+// ============================================================================
+// SEEDED RANDOM (single injectable PRNG for the whole pipeline)
+// ============================================================================
+
+// Mulberry32: tiny 32 bit PRNG with a single word of state, so the exact
+// position in the stream can be saved and restored with the profile.
+// Every random decision in the engine pulls from one instance of this,
+// which makes a round fully reproducible from its seed plus the responses.
+class SeededRandom {
+  constructor(seed) {
+    // No seed given: draw one, the stream is still replayable via getState()
+    if (seed === undefined || seed === null) {
+      seed = Math.floor(Math.random() * 0x100000000);
+    }
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Uniform float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  // Uniform integer in [0, max)
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  // Uniform pick from a non empty array
+  pick(items) {
+    return items[this.nextInt(items.length)];
+  }
+
+  // Pick with probability proportional to weights (same length as items)
+  pickWeighted(items, weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let r = this.next() * total;
+    for (let i = 0; i < items.length; i++) {
+      r -= weights[i];
+      if (r < 0) return items[i];
+    }
+    return items[items.length - 1];
+  }
+
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  setState(saved) {
+    if (!saved) return;
+    if (saved.seed !== undefined) this.seed = saved.seed >>> 0;
+    if (saved.state !== undefined) this.state = saved.state >>> 0;
+  }
+}
+
 // ============================================================================
 // WORKING MEMORY STATE TRACKER
 // ============================================================================
@@ -33,6 +92,11 @@ class WorkingMemoryState {
     this.n = n;
     this.recentColors = [];
     this.currentLoad = 0;
+
+    // Slightly longer history than the n+1 attention window so lures
+    // can reach back to n+2 positions
+    this.history = [];
+    this.historySize = n + 2;
   }
 
   addColor(color) {
@@ -43,6 +107,17 @@ class WorkingMemoryState {
     }
 
     this.currentLoad = new Set(this.recentColors).size;
+
+    this.history.push(color);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+  }
+
+  // Color shown `lag` trials ago (lag 1 = previous tile, lag n = n-back color)
+  getColorAtLag(lag) {
+    if (lag < 1 || lag > this.history.length) return null;
+    return this.history[this.history.length - lag];
   }
 
   getRecentColors() {
@@ -58,56 +133,204 @@ class WorkingMemoryState {
 // D-PRIME (signal detection sensitivity)
 // ============================================================================
 
+// Inverse standard normal CDF (Acklam's rational approximation)
+function inverseNormalCDF(p) {
+  const a1 = -3.969683028665376e1;
+  const a2 = 2.209460984245205e2;
+  const a3 = -2.759285104469687e2;
+  const a4 = 1.383577518672690e2;
+  const a5 = -3.066479806614716e1;
+  const a6 = 2.506628277459239e0;
+  const b1 = -5.447609879822406e1;
+  const b2 = 1.615858368580409e2;
+  const b3 = -1.556989798598866e2;
+  const b4 = 6.680131188771972e1;
+  const b5 = -1.328068155288572e1;
+  const c1 = -7.784894002430293e-3;
+  const c2 = -3.223964580411365e-1;
+  const c3 = -2.400758277161838e0;
+  const c4 = -2.549732539343734e0;
+  const c5 = 4.374664141464968e0;
+  const c6 = 2.938163982698783e0;
+  const d1 = 7.784695709041462e-3;
+  const d2 = 3.224671290700398e-1;
+  const d3 = 2.445134137142996e0;
+  const d4 = 3.754408661907416e0;
+  const pLow = 0.02425;
+  const pHigh = 1 - pLow;
+
+  let q, r;
+  if (p < pLow) {
+    q = Math.sqrt(-2 * Math.log(p));
+    return (((((c1 * q + c2) * q + c3) * q + c4) * q + c5) * q + c6) / ((((d1 * q + d2) * q + d3) * q + d4) * q + 1);
+  } else if (p <= pHigh) {
+    q = p - 0.5;
+    r = q * q;
+    return (((((a1 * r + a2) * r + a3) * r + a4) * r + a5) * r + a6) * q / (((((b1 * r + b2) * r + b3) * r + b4) * r + b5) * r + 1);
+  } else {
+    q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c1 * q + c2) * q + c3) * q + c4) * q + c5) * q + c6) / ((((d1 * q + d2) * q + d3) * q + d4) * q + 1);
+  }
+}
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, error < 1.5e-7)
+function normalCDF(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function normalPDF(x) {
+  return Math.exp(-(x * x) / 2) / Math.sqrt(2 * Math.PI);
+}
+
 function computeDPrime(hitRate, faRate) {
   const cappedHitRate = Math.max(0.01, Math.min(0.99, hitRate));
   const cappedFaRate = Math.max(0.01, Math.min(0.99, faRate));
 
-  function invNorm(p) {
-    const a1 = -3.969683028665376e1;
-    const a2 = 2.209460984245205e2;
-    const a3 = -2.759285104469687e2;
-    const a4 = 1.383577518672690e2;
-    const a5 = -3.066479806614716e1;
-    const a6 = 2.506628277459239e0;
-    const b1 = -5.447609879822406e1;
-    const b2 = 1.615858368580409e2;
-    const b3 = -1.556989798598866e2;
-    const b4 = 6.680131188771972e1;
-    const b5 = -1.328068155288572e1;
-    const c1 = -7.784894002430293e-3;
-    const c2 = -3.223964580411365e-1;
-    const c3 = -2.400758277161838e0;
-    const c4 = -2.549732539343734e0;
-    const c5 = 4.374664141464968e0;
-    const c6 = 2.938163982698783e0;
-    const d1 = 7.784695709041462e-3;
-    const d2 = 3.224671290700398e-1;
-    const d3 = 2.445134137142996e0;
-    const d4 = 3.754408661907416e0;
-    const pLow = 0.02425;
-    const pHigh = 1 - pLow;
-
-    let q, r;
-    if (p < pLow) {
-      q = Math.sqrt(-2 * Math.log(p));
-      return (((((c1 * q + c2) * q + c3) * q + c4) * q + c5) * q + c6) / ((((d1 * q + d2) * q + d3) * q + d4) * q + 1);
-    } else if (p <= pHigh) {
-      q = p - 0.5;
-      r = q * q;
-      return (((((a1 * r + a2) * r + a3) * r + a4) * r + a5) * r + a6) * q / (((((b1 * r + b2) * r + b3) * r + b4) * r + b5) * r + 1);
-    } else {
-      q = Math.sqrt(-2 * Math.log(1 - p));
-      return -(((((c1 * q + c2) * q + c3) * q + c4) * q + c5) * q + c6) / ((((d1 * q + d2) * q + d3) * q + d4) * q + 1);
-    }
-  }
+  return inverseNormalCDF(cappedHitRate) - inverseNormalCDF(cappedFaRate);
+}
+
+// Response bias. Criterion c: negative = liberal (clicks on weak
+// evidence, false alarms), positive = conservative (holds back, misses).
+// log beta = c * d', the likelihood ratio the player needs before clicking.
+function computeCriterion(hitRate, faRate) {
+  const cappedHitRate = Math.max(0.01, Math.min(0.99, hitRate));
+  const cappedFaRate = Math.max(0.01, Math.min(0.99, faRate));
+  const zHit = inverseNormalCDF(cappedHitRate);
+  const zFa = inverseNormalCDF(cappedFaRate);
+  const c = -(zHit + zFa) / 2;
+
+  return { c, logBeta: c * (zHit - zFa) };
+}
+
+const BIAS_CRITERION_THRESHOLD = 0.35;  // |c| above this counts as biased
+
+// Sampling variance of d' (Gourevitch and Galanter 1967): how much the
+// d' of a window with this many targets and non targets jumps around
+// by chance alone. Few trials or extreme rates = large variance.
+function computeDPrimeVariance(hitRate, faRate, targets, nonTargets) {
+  const h = Math.max(0.01, Math.min(0.99, hitRate));
+  const f = Math.max(0.01, Math.min(0.99, faRate));
+  const phiH = normalPDF(inverseNormalCDF(h));
+  const phiF = normalPDF(inverseNormalCDF(f));
+  return h * (1 - h) / (Math.max(1, targets) * phiH * phiH)
+    + f * (1 - f) / (Math.max(1, nonTargets) * phiF * phiF);
+}
+
+// d', its sampling variance and criterion of a list of { wasMatch,
+// userClicked, omission } with the same pseudo counts as the AbilityModel window
+function measureSDT(trials) {
+  let hits = 0, misses = 0, falseAlarms = 0, correctRejections = 0;
+  for (const t of trials) {
+    if (t.wasMatch && t.userClicked) hits++;
+    else if (t.wasMatch) misses++;
+    else if (t.omission) continue;
+    else if (t.userClicked) falseAlarms++;
+    else correctRejections++;
+  }
+  const hitRate = (hits + 0.5) / (hits + misses + 1);
+  const faRate = (falseAlarms + 0.5) / (falseAlarms + correctRejections + 1);
+  return {
+    dPrime: computeDPrime(hitRate, faRate),
+    variance: computeDPrimeVariance(hitRate, faRate, hits + misses, falseAlarms + correctRejections),
+    criterion: computeCriterion(hitRate, faRate).c
+  };
+}
+
+// ============================================================================
+// COLOR DISTANCE (CIEDE2000)
+// ============================================================================
+
+// '#RRGGBB' -> CIE L*a*b* (sRGB, D65 white point)
+function hexToLab(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  const [r, g, b] = [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+
+  const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / 0.95047;
+  const y = r * 0.2126729 + g * 0.7151522 + b * 0.0721750;
+  const z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / 1.08883;
+  const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  const fx = f(x), fy = f(y), fz = f(z);
+
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+// Perceptual color difference (Sharma, Wu, Dalal 2005 formulation).
+// ~1 = just noticeable, ~10+ = clearly different colors at a glance.
+function ciede2000(lab1, lab2) {
+  const deg = Math.PI / 180;
+  const pow7 = v => Math.pow(v, 7);
+
+  const C1 = Math.hypot(lab1.a, lab1.b);
+  const C2 = Math.hypot(lab2.a, lab2.b);
+  const Cbar = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(pow7(Cbar) / (pow7(Cbar) + pow7(25))));
+
+  const a1p = (1 + G) * lab1.a;
+  const a2p = (1 + G) * lab2.a;
+  const C1p = Math.hypot(a1p, lab1.b);
+  const C2p = Math.hypot(a2p, lab2.b);
+  const hue = (b, ap) => {
+    if (b === 0 && ap === 0) return 0;
+    const h = Math.atan2(b, ap) / deg;
+    return h >= 0 ? h : h + 360;
+  };
+  const h1p = hue(lab1.b, a1p);
+  const h2p = hue(lab2.b, a2p);
+  const chromaProduct = C1p * C2p;
+
+  // Differences
+  const dLp = lab2.L - lab1.L;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (chromaProduct !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(chromaProduct) * Math.sin(dhp * deg / 2);
+
+  // Means
+  const Lbarp = (lab1.L + lab2.L) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (chromaProduct !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else hbarp = hbarp < 360 ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+  }
+
+  // Weighting functions
+  const T = 1
+    - 0.17 * Math.cos((hbarp - 30) * deg)
+    + 0.24 * Math.cos(2 * hbarp * deg)
+    + 0.32 * Math.cos((3 * hbarp + 6) * deg)
+    - 0.20 * Math.cos((4 * hbarp - 63) * deg);
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Rc = 2 * Math.sqrt(pow7(Cbarp) / (pow7(Cbarp) + pow7(25)));
+  const Sl = 1 + 0.015 * Math.pow(Lbarp - 50, 2) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(2 * dTheta * deg) * Rc;
+
+  const l = dLp / Sl, c = dCp / Sc, h = dHp / Sh;
+  return Math.sqrt(l * l + c * c + h * h + Rt * c * h);
+}
 
-  return invNorm(cappedHitRate) - invNorm(cappedFaRate);
+function colorDistance(hex1, hex2) {
+  return ciede2000(hexToLab(hex1), hexToLab(hex2));
 }
 
 // ============================================================================
 // ABILITY MODEL (rolling Bayesian d' as master ability signal)
 // ============================================================================
 
+const THETA_PRIOR_VARIANCE = 1.0; // Knows nothing yet: 95% interval ~ +-2
+
 class AbilityModel {
   constructor() {
     // Rolling window of recent trial outcomes for d' computation.
@@ -116,9 +339,17 @@ class AbilityModel {
     this.trialWindow = [];
     this.windowSize = 30;       // Last 30 trials for d' computation
 
-    // Rolling d' (theta) with EMA smoothing
+    // Kalman filtered d' (theta). The window d' is a noisy measurement of
+    // the true ability, thetaVariance says how much to trust the estimate.
+    // Consecutive windows share all but one trial, so each update only
+    // carries one trial's worth of new evidence: R is scaled by the window
+    // length. With a typical full window (R ~0.35 -> ~10.5) Q settles the
+    // variance near 0.76 with a gain around 0.07, noisy windows move theta
+    // less and a fresh prior lets it move fast. Tuned with simulator.js.
     this.theta = 1.5;           // Start at moderate ability
-    this.thetaAlpha = 0.15;     // EMA smoothing for theta
+    this.thetaPriorVariance = THETA_PRIOR_VARIANCE;
+    this.thetaVariance = this.thetaPriorVariance;
+    this.processNoise = 0.06;   // Q: ability drift per trial
     this.thetaWindow = [];      // Last 20 theta values for trend
     this.thetaWindowSize = 20;
 
@@ -130,32 +361,35 @@ class AbilityModel {
     this.totalTrials = 0;
   }
 
-  recordTrial(wasMatch, userClicked, reactionTime) {
+  // omission: no answer before the deadline in two button mode. A missed
+  // target stays a miss, a non target without an answer is left out of d'
+  // instead of counting as a correct rejection.
+  recordTrial(wasMatch, userClicked, reactionTime, isLure = false, omission = false) {
     this.totalTrials++;
 
     // Store trial outcome in rolling window
-    this.trialWindow.push({ wasMatch, userClicked });
+    this.trialWindow.push({ wasMatch, userClicked, isLure, omission });
     if (this.trialWindow.length > this.windowSize) {
       this.trialWindow.shift();
     }
 
     // Compute d' from the rolling window using pseudo counts
-    let hits = 0, misses = 0, falseAlarms = 0, correctRejections = 0;
-    for (const t of this.trialWindow) {
-      if (t.wasMatch && t.userClicked) hits++;
-      else if (t.wasMatch && !t.userClicked) misses++;
-      else if (!t.wasMatch && t.userClicked) falseAlarms++;
-      else correctRejections++;
-    }
+    const { hits, misses, falseAlarms, correctRejections } = this.getSDTCounts();
 
     const targets = hits + misses;
     const nonTargets = falseAlarms + correctRejections;
     const hitRate = (hits + 0.5) / (targets + 1);
     const faRate = (falseAlarms + 0.5) / (nonTargets + 1);
     const rawDPrime = computeDPrime(hitRate, faRate);
+    // Only the newest trial is new information, the rest of the window was
+    // already measured by earlier updates
+    const measurementVariance = computeDPrimeVariance(hitRate, faRate, targets, nonTargets) * this.trialWindow.length;
 
-    // EMA smooth the theta
-    this.theta = this.theta * (1 - this.thetaAlpha) + rawDPrime * this.thetaAlpha;
+    // Kalman update: predict (ability may have drifted), then correct
+    const predictedVariance = this.thetaVariance + this.processNoise;
+    const gain = predictedVariance / (predictedVariance + measurementVariance);
+    this.theta = this.theta + gain * (rawDPrime - this.theta);
+    this.thetaVariance = (1 - gain) * predictedVariance;
 
     // Store theta history for trend analysis
     this.thetaWindow.push(this.theta);
@@ -172,6 +406,12 @@ class AbilityModel {
     }
   }
 
+  // Credible interval for theta (z = 1.96 gives 95%)
+  getThetaInterval(z = 1.96) {
+    const sd = Math.sqrt(this.thetaVariance);
+    return { lower: this.theta - z * sd, upper: this.theta + z * sd };
+  }
+
   // Slope of theta over recent history (positive = improving)
   getThetaTrend() {
     const h = this.thetaWindow;
@@ -257,23 +497,56 @@ class AbilityModel {
     return Math.max(0, Math.min(1, 0.3 + this.theta * 0.2));
   }
 
-  // Get current SDT counts from the rolling window
+  // Get current SDT counts from the rolling window.
+  // falseAlarms/correctRejections cover all non targets (what d' uses),
+  // the lure* counts break out the lure subset so familiarity driven
+  // errors can be told apart from ordinary false alarms.
+  // omissions counts every unanswered trial (two button mode), missed
+  // targets among them are misses too, non targets are in neither count.
   getSDTCounts() {
     let hits = 0, misses = 0, falseAlarms = 0, correctRejections = 0;
+    let lureFalseAlarms = 0, lureCorrectRejections = 0, omissions = 0;
     for (const t of this.trialWindow) {
+      if (t.omission) omissions++;
+
       if (t.wasMatch && t.userClicked) hits++;
       else if (t.wasMatch && !t.userClicked) misses++;
+      else if (t.omission) continue;
       else if (!t.wasMatch && t.userClicked) falseAlarms++;
       else correctRejections++;
+
+      if (t.isLure && !t.wasMatch) {
+        if (t.userClicked) lureFalseAlarms++;
+        else lureCorrectRejections++;
+      }
     }
-    return { hits, misses, falseAlarms, correctRejections };
+    return { hits, misses, falseAlarms, correctRejections, lureFalseAlarms, lureCorrectRejections, omissions };
+  }
+
+  // Criterion c and log beta over the rolling window (same pseudo counts as theta)
+  getResponseBias() {
+    const sdt = this.getSDTCounts();
+    const targets = sdt.hits + sdt.misses;
+    const nonTargets = sdt.falseAlarms + sdt.correctRejections;
+    if (targets === 0 || nonTargets === 0) return { criterion: null, logBeta: null };
+
+    const bias = computeCriterion((sdt.hits + 0.5) / (targets + 1), (sdt.falseAlarms + 0.5) / (nonTargets + 1));
+    return { criterion: bias.c, logBeta: bias.logBeta };
   }
 
   getStats() {
     const rt = this.getRTStats();
     const sdt = this.getSDTCounts();
+    const lureTrials = sdt.lureFalseAlarms + sdt.lureCorrectRejections;
+    const ordinaryFalseAlarms = sdt.falseAlarms - sdt.lureFalseAlarms;
+    const ordinaryTrials = sdt.falseAlarms + sdt.correctRejections - lureTrials;
+    const interval = this.getThetaInterval();
+    const bias = this.getResponseBias();
     return {
       theta: this.theta,
+      thetaVariance: this.thetaVariance,
+      thetaLower: interval.lower,
+      thetaUpper: interval.upper,
       thetaTrend: this.getThetaTrend(),
       flowScore: this.getFlowScore(),
       fatigueIndex: this.getFatigueIndex(),
@@ -284,13 +557,22 @@ class AbilityModel {
       hits: sdt.hits,
       misses: sdt.misses,
       falseAlarms: sdt.falseAlarms,
-      correctRejections: sdt.correctRejections
+      correctRejections: sdt.correctRejections,
+      lureFalseAlarms: sdt.lureFalseAlarms,
+      lureCorrectRejections: sdt.lureCorrectRejections,
+      omissions: sdt.omissions,
+      omissionRate: this.trialWindow.length > 0 ? sdt.omissions / this.trialWindow.length : 0,
+      lureFaRate: lureTrials > 0 ? sdt.lureFalseAlarms / lureTrials : null,
+      ordinaryFaRate: ordinaryTrials > 0 ? ordinaryFalseAlarms / ordinaryTrials : null,
+      criterion: bias.criterion,
+      logBeta: bias.logBeta
     };
   }
 
   reset() {
     this.trialWindow = [];
     this.theta = 1.5;
+    this.thetaVariance = this.thetaPriorVariance;
     this.thetaWindow = [];
     this.rtWindow = [];
     this.totalTrials = 0;
@@ -302,26 +584,36 @@ class AbilityModel {
 // ============================================================================
 
 class DifficultyController {
-  constructor(n) {
+  // paletteSize: number of colors available, defaults to enough for n + 1
+  constructor(n, paletteSize = n + 2) {
     this.n = n;
 
     // PI controller state
     this.targetTheta = 1.8;     // Ideal engagement zone
-    this.Kp = 0.3;              // Proportional gain
-    this.Ki = 0.05;             // Integral gain
+    this.Kp = 1.0;              // Proportional gain
+    this.Ki = 0.1;              // Integral gain
     this.integral = 0;
     this.integralMax = 3.0;     // Anti windup clamp
 
+    // Act less on uncertain theta estimates: full gain once the estimate
+    // variance is at or below this (typical settled Kalman variance),
+    // scaled by sqrt(reference / variance) above it
+    this.referenceVariance = 0.76;
+
     // Output variables
     // Start at 0 = minimum load (2 unique colors). Player must earn higher load.
     this.targetEntropy = 0.0;
     this.matchRate = 0.30;      // Dynamic match rate
     this.stimulusInterval = 1.0; // Speed multiplier (1.0 = normal)
+    this.lureRate = 0.0;        // Share of non match trials placed as lures
+    this.similarityBias = 0.0;  // 0..1, preference for perceptually close colors
 
     // TEMPORAL STRUCTURE ENTROPY (TSE)
-    // Controls transition unpredictability independent of unique color count.
-    // Low TSE = long runs of same color, predictable switching rhythm.
-    // High TSE = frequent switching, near random transitions.
+    // Controls transition unpredictability independent of unique color count:
+    // the target conditional entropy H(next | last) over the active set, from
+    // the structured row (0) up to log2(K) (1), see TransitionModel.
+    // Low TSE = long runs of same color, switches in a fixed cycle order.
+    // High TSE = frequent switching, near uniform transitions.
     // Starts at 0 after N increase so the player can stabilize the
     // expanded sliding buffer before facing transition chaos.
     // At low TSE the repeat bias naturally produces runs of ~N length
@@ -331,9 +623,10 @@ class DifficultyController {
     this.tseClimbRate = 0.03;   // Half of entropy climb: TSE is a phase clock, not a sprint
     this.tseDropRate = 0.06;    // 2x faster to drop (same asymmetry)
 
-    // Unique colors (derived from entropy)
+    // Unique colors (derived from entropy). Small palettes cap K one below
+    // the palette size so the generator always has a color to swap in.
     this.minUniqueColors = 2;
-    this.maxUniqueColors = n + 1;
+    this.maxUniqueColors = Math.min(n + 1, paletteSize - 1);
     this.currentUniqueColors = 2;
 
     // N-adaptive step hold: scale with the color range so higher N
@@ -386,6 +679,12 @@ class DifficultyController {
     this.sustainFailed = false;         // set true if performance drops during sustain
     this.fallbackCount = 0;             // how many times player fell back to this K
     this.sustainDoubled = false;        // whether sustain was already doubled (cap at 1x doubling)
+    this.sustainFailures = 0;           // total sustain gate reverts (never reset, for events)
+  }
+
+  // Post level phase (1..3), see the three phase system in update()
+  getPhase() {
+    return this.phaseGraduated ? 3 : this.tse < 0.5 ? 1 : this.tse < 0.75 ? 2 : 3;
   }
 
   update(abilityModel) {
@@ -393,13 +692,15 @@ class DifficultyController {
     const trend = abilityModel.getThetaTrend();
     const fatigue = abilityModel.getFatigueIndex();
     const flow = abilityModel.getFlowScore();
+    const certainty = this.getCertainty(abilityModel.thetaVariance);
 
     // PI controller: positive error = player below target, negative = above target
+    // Both terms are scaled by certainty so a noisy theta moves difficulty less
     const error = this.targetTheta - theta;
-    this.integral += error;
+    this.integral += error * certainty;
     this.integral = Math.max(-this.integralMax, Math.min(this.integralMax, this.integral));
 
-    let adjustment = this.Kp * error + this.Ki * this.integral;
+    let adjustment = (this.Kp * error + this.Ki * this.integral) * certainty;
 
     // Flow boost: when performing well and improving, push slightly harder
     if (theta > 1.6 && trend > 0.005) {
@@ -423,6 +724,7 @@ class DifficultyController {
 
       if (this.sustainFailed) {
         // Revert K increase
+        this.sustainFailures++;
         if (this.currentUniqueColors > this.minUniqueColors) {
           this.currentUniqueColors--;
           this.fallbackCount++;
@@ -594,6 +896,35 @@ class DifficultyController {
       tseDelta = -adjustment * this.tseDropRate;
     }
     this.tse = Math.max(0, Math.min(1, this.tse + tseDelta));
+
+    // ── KNOB 5: LURE RATE ────────────────────────────────────────────
+    // Lures repeat the color from n-1, n+1 or n+2 back. They feel familiar
+    // without being a match, so only real updating (not familiarity) keeps
+    // the player from clicking. None during span stabilization (phase 1),
+    // then 10% of non matches, shifted up to 25% when excelling.
+    if (phase === 1) {
+      this.lureRate = 0;
+    } else {
+      this.lureRate = Math.max(0, Math.min(0.25, 0.10 - adjustment * 0.15));
+    }
+
+    // ── KNOB 6: COLOR SIMILARITY ─────────────────────────────────────
+    // Blue vs purple is harder to hold apart than blue vs yellow. The bias
+    // makes colors entering the active set prefer ones close (CIEDE2000)
+    // to the colors already in play. Slow to earn, 2x faster to lose,
+    // off during span stabilization (phase 1).
+    if (phase === 1) {
+      this.similarityBias = 0;
+    } else {
+      const similarityDelta = adjustment < 0 ? -adjustment * 0.2 : -adjustment * 0.4;
+      this.similarityBias = Math.max(0, Math.min(1, this.similarityBias + similarityDelta));
+    }
+  }
+
+  // 0..1 weight for acting on theta given its variance
+  getCertainty(thetaVariance) {
+    if (thetaVariance === undefined || thetaVariance <= this.referenceVariance) return 1;
+    return Math.sqrt(this.referenceVariance / thetaVariance);
   }
 
   getTargetUniqueColors() {
@@ -612,6 +943,14 @@ class DifficultyController {
     return this.matchRate;
   }
 
+  getLureRate() {
+    return this.lureRate;
+  }
+
+  getSimilarityBias() {
+    return this.similarityBias;
+  }
+
   // Called when SPRT stops a session for poor performance.
   // Aggressively reduces difficulty so the next round starts easier.
   onSessionStopped() {
@@ -633,6 +972,10 @@ class DifficultyController {
     // Drop TSE aggressively (predictable transitions for recovery)
     this.tse = Math.max(0, this.tse * 0.3);
 
+    // No lures or similar colors until the controller earns them back
+    this.lureRate = 0;
+    this.similarityBias = 0;
+
     // Reset K cooldown so recovery doesnt stall behind a pending timer
     this.kIncreaseCooldown = 0;
   }
@@ -644,8 +987,10 @@ class DifficultyController {
       minUniqueColors: this.minUniqueColors,
       targetEntropy: this.targetEntropy,
       tse: this.tse,
-      tsePhase: this.phaseGraduated ? 3 : this.tse < 0.5 ? 1 : this.tse < 0.75 ? 2 : 3,
+      tsePhase: this.getPhase(),
       matchRate: this.matchRate,
+      lureRate: this.lureRate,
+      similarityBias: this.similarityBias,
       stimulusInterval: this.stimulusInterval,
       piError: this.targetTheta - (this.integral / Math.max(1, Math.abs(this.integral)) * this.Ki),
       piIntegral: this.integral
@@ -657,6 +1002,18 @@ class DifficultyController {
 // SPRT STOPPER (Sequential Probability Ratio Test for session stopping)
 // ============================================================================
 
+// Expected accuracy for a trial type at a given theta (d'), shared by both SPRTs.
+// For targets: hit rate increases with theta
+// For non targets: correct rejection rate increases with theta
+// Using logistic approximation: accuracy = 1 / (1 + exp(-(theta-offset)*scale))
+function thetaToAccuracy(theta, isTarget) {
+  if (isTarget) {
+    return 1 / (1 + Math.exp(-(theta - 0.5) * 1.5));
+  } else {
+    return 1 / (1 + Math.exp(-(theta - 0.2) * 1.5));
+  }
+}
+
 class SPRTStopper {
   constructor() {
     // Hypotheses about theta
@@ -672,9 +1029,30 @@ class SPRTStopper {
 
     this.decision = 'continue'; // 'continue', 'stop'
     this.trialsRecorded = 0;
+
+    // Posterior of the ability model (set before each trial). The SPRT only
+    // sees outcomes, so before stopping we also want the theta estimate to
+    // agree that the player is most likely below H0.
+    this.posteriorTheta = null;
+    this.posteriorVariance = null;
+    this.posteriorStopThreshold = 0.5;  // P(theta < theta0) needed to stop
+  }
+
+  setAbilityPosterior(theta, variance) {
+    this.posteriorTheta = theta;
+    this.posteriorVariance = variance;
+  }
+
+  // Probability that the true theta is below H0, from the Kalman posterior
+  getPosteriorBelowH0() {
+    if (this.posteriorTheta === null) return 1;
+    const sd = Math.sqrt(Math.max(1e-6, this.posteriorVariance));
+    return normalCDF((this.theta0 - this.posteriorTheta) / sd);
   }
 
-  recordTrial(correct, wasMatch, userClicked) {
+  // dualResponse: two button mode, every non match was answered explicitly
+  // (or counts as an omission error), so nothing is passive
+  recordTrial(correct, wasMatch, userClicked, dualResponse = false) {
     this.trialsRecorded++;
 
     // Likelihood of this outcome under H0 (theta=1.5) vs H1 (theta=0.8)
@@ -695,7 +1073,8 @@ class SPRTStopper {
       // Not clicking on a non match is passive (no active decision), so discount it heavily.
       // Without this, an overwhelmed player who stops clicking gets "credit" for correct
       // rejections that wash out the signal from missed targets.
-      if (!wasMatch && !userClicked) {
+      // In two button mode a correct rejection is a pressed No match, full weight.
+      if (!wasMatch && !userClicked && !dualResponse) {
         delta *= 0.25;
       }
 
@@ -715,20 +1094,14 @@ class SPRTStopper {
 
   // Map theta (d') to expected accuracy for a trial type
   thetaToAccuracy(theta, isTarget) {
-    // For targets: hit rate increases with theta
-    // For non targets: correct rejection rate increases with theta
-    // Using logistic approximation: accuracy = 1 / (1 + exp(-(theta-offset)*scale))
-    if (isTarget) {
-      return 1 / (1 + Math.exp(-(theta - 0.5) * 1.5));
-    } else {
-      return 1 / (1 + Math.exp(-(theta - 0.2) * 1.5));
-    }
+    return thetaToAccuracy(theta, isTarget);
   }
 
   shouldStop() {
     // Need minimum trials before allowing stop
     if (this.trialsRecorded < 8) return false;
-    return this.decision === 'stop';
+    if (this.decision !== 'stop') return false;
+    return this.getPosteriorBelowH0() >= this.posteriorStopThreshold;
   }
 
   getStatus() {
@@ -737,7 +1110,124 @@ class SPRTStopper {
       stopBound: this.stopBound,
       acceptBound: this.acceptBound,
       decision: this.decision,
-      trialsRecorded: this.trialsRecorded
+      trialsRecorded: this.trialsRecorded,
+      posteriorBelowH0: this.getPosteriorBelowH0()
+    };
+  }
+
+  reset() {
+    this.logLR = 0;
+    this.decision = 'continue';
+    this.trialsRecorded = 0;
+  }
+}
+
+// ============================================================================
+// MASTERY SPRT (positive evidence near max load)
+// ============================================================================
+
+// Mirror of SPRTStopper that tests for strong performance instead of poor.
+// Only trials played near the maximum color load count as evidence, so a
+// player cannot pass by doing well on an easy stretch of the round.
+// Evidence carries over rounds at the same level (one round near max load is
+// rarely enough), a new test starts after mastery was accepted.
+class MasterySPRT {
+  constructor() {
+    // Hypotheses about theta
+    this.theta0 = 1.5;         // H0: acceptable performance (SPRTStopper's H0)
+    this.theta1 = 2.5;         // H1: mastery
+    this.logLR = 0;            // Cumulative log(P(data|H1) / P(data|H0))
+
+    // Decision boundaries (alpha=0.05, beta=0.10). A false "mastered" skips
+    // a level, so alpha is stricter than the stopper's.
+    this.masteryBound = Math.log((1 - 0.10) / 0.05);  // ~2.89, accept H1 (mastered)
+    this.rejectBound = Math.log(0.10 / (1 - 0.05));   // ~-2.25, accept H0 (not yet)
+
+    this.decision = 'continue'; // 'continue', 'mastery', 'notYet'
+    this.trialsRecorded = 0;
+    this.trialsSkipped = 0;     // trials below minLoadShare (no evidence)
+
+    this.minLoadShare = 0.8;    // trial load / max load needed to count
+    this.minTrials = 15;        // counted trials before mastery can be accepted
+    this.earlyFinishTrials = 25; // round trials before mastery may end the round
+
+    // Posterior cross check, like the stopper but from the other side
+    this.posteriorTheta = null;
+    this.posteriorVariance = null;
+    this.posteriorMasteryThreshold = 0.75; // P(theta > theta0) needed
+  }
+
+  setAbilityPosterior(theta, variance) {
+    this.posteriorTheta = theta;
+    this.posteriorVariance = variance;
+  }
+
+  // Probability that the true theta is above H0, from the Kalman posterior
+  getPosteriorAboveH0() {
+    if (this.posteriorTheta === null) return 0;
+    const sd = Math.sqrt(Math.max(1e-6, this.posteriorVariance));
+    return normalCDF((this.posteriorTheta - this.theta0) / sd);
+  }
+
+  // load / maxLoad: unique colors the trial was generated for (target K)
+  recordTrial(correct, wasMatch, load, maxLoad) {
+    if (this.decision === 'mastery') return this.decision;
+    if (!(maxLoad > 0) || load / maxLoad < this.minLoadShare) {
+      this.trialsSkipped++;
+      return this.decision;
+    }
+    this.trialsRecorded++;
+
+    const p0 = thetaToAccuracy(this.theta0, wasMatch);
+    const p1 = thetaToAccuracy(this.theta1, wasMatch);
+    // No passive correct rejection discount here: it would bias the test
+    // against mastery, and a player who rarely clicks already loses far more
+    // on missed targets than the non matches earn
+    this.logLR += correct ? Math.log(p1 / p0) : Math.log((1 - p1) / (1 - p0));
+
+    if (this.logLR >= this.masteryBound) {
+      if (this.trialsRecorded >= this.minTrials && this.getPosteriorAboveH0() >= this.posteriorMasteryThreshold) {
+        this.decision = 'mastery';
+      } else {
+        this.logLR = this.masteryBound; // hold at the bound until the checks agree
+      }
+    } else if (this.logLR <= this.rejectBound) {
+      this.decision = 'notYet';   // keep it for the banner, but keep testing
+      this.logLR = 0;
+    }
+
+    return this.decision;
+  }
+
+  // Decisions are reported per round, the evidence is kept unless the
+  // last round already accepted mastery
+  startRound() {
+    if (this.decision === 'mastery') {
+      this.reset();
+    } else {
+      this.decision = 'continue';
+    }
+  }
+
+  isMastered() {
+    return this.decision === 'mastery';
+  }
+
+  // Evidence ratio P(data|mastery) / P(data|acceptable)
+  getEvidenceRatio() {
+    return Math.exp(this.logLR);
+  }
+
+  getStatus() {
+    return {
+      logLR: this.logLR,
+      evidenceRatio: this.getEvidenceRatio(),
+      masteryBound: this.masteryBound,
+      rejectBound: this.rejectBound,
+      decision: this.decision,
+      trialsRecorded: this.trialsRecorded,
+      trialsSkipped: this.trialsSkipped,
+      posteriorAboveH0: this.getPosteriorAboveH0()
     };
   }
 
@@ -745,6 +1235,403 @@ class SPRTStopper {
     this.logLR = 0;
     this.decision = 'continue';
     this.trialsRecorded = 0;
+    this.trialsSkipped = 0;
+  }
+}
+
+// ============================================================================
+// CONFUSION TRACKER (false alarms per color pair)
+// ============================================================================
+
+// Counts non match trials by (shown color, n back color) pair and how often
+// the player clicked anyway. Lets the similarity knob be checked against
+// real data: close pairs should show higher false alarm rates.
+class ConfusionTracker {
+  constructor() {
+    this.pairs = {}; // pairs[a][b] = { trials, falseAlarms }, a < b
+  }
+
+  record(color, nBackColor, userClicked) {
+    if (!color || !nBackColor || color === nBackColor) return;
+
+    const [a, b] = color < nBackColor ? [color, nBackColor] : [nBackColor, color];
+    if (!this.pairs[a]) this.pairs[a] = {};
+    if (!this.pairs[a][b]) this.pairs[a][b] = { trials: 0, falseAlarms: 0 };
+
+    this.pairs[a][b].trials++;
+    if (userClicked) this.pairs[a][b].falseAlarms++;
+  }
+
+  // Flat list with distances, closest pair first. distanceFn(a, b) may return null
+  getPairs(distanceFn) {
+    const list = [];
+    for (const a in this.pairs) {
+      for (const b in this.pairs[a]) {
+        const entry = this.pairs[a][b];
+        list.push({
+          a, b,
+          distance: distanceFn(a, b),
+          trials: entry.trials,
+          falseAlarms: entry.falseAlarms,
+          faRate: entry.falseAlarms / entry.trials
+        });
+      }
+    }
+    return list.sort((x, y) => (x.distance === null ? Infinity : x.distance) - (y.distance === null ? Infinity : y.distance));
+  }
+
+  // False alarm rate for close (< closeDistance) vs far pairs
+  getSummary(distanceFn, closeDistance = 25) {
+    let closeTrials = 0, closeFalseAlarms = 0, farTrials = 0, farFalseAlarms = 0;
+    for (const pair of this.getPairs(distanceFn)) {
+      if (pair.distance === null) continue;
+      if (pair.distance < closeDistance) {
+        closeTrials += pair.trials;
+        closeFalseAlarms += pair.falseAlarms;
+      } else {
+        farTrials += pair.trials;
+        farFalseAlarms += pair.falseAlarms;
+      }
+    }
+    return {
+      closeTrials,
+      closeFaRate: closeTrials > 0 ? closeFalseAlarms / closeTrials : null,
+      farTrials,
+      farFaRate: farTrials > 0 ? farFalseAlarms / farTrials : null
+    };
+  }
+
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.pairs));
+  }
+
+  restore(pairs) {
+    this.pairs = pairs ? JSON.parse(JSON.stringify(pairs)) : {};
+  }
+}
+
+// ============================================================================
+// RHYTHM EXPLOIT TRACKER (accuracy on periodic stretches vs elsewhere)
+// ============================================================================
+
+// A player who answers by rhythm (ABAB, ABBA) instead of holding N items
+// does much better on rhythmic tiles than on the rest. Counts are halved
+// once they pass maxTrials so old habits fade out.
+class RhythmExploitTracker {
+  constructor() {
+    this.rhythmic = { trials: 0, correct: 0 };
+    this.other = { trials: 0, correct: 0 };
+
+    this.maxTrials = 400;
+    this.minTrials = 20;    // per group before judging
+    this.gapThreshold = 0.15; // accuracy advantage on rhythmic tiles
+    this.zThreshold = 1.96;   // and it must be significant (two proportion z)
+  }
+
+  record(isRhythmic, correct) {
+    const group = isRhythmic ? this.rhythmic : this.other;
+    group.trials++;
+    if (correct) group.correct++;
+
+    if (this.rhythmic.trials + this.other.trials > this.maxTrials) {
+      for (const g of [this.rhythmic, this.other]) {
+        g.trials /= 2;
+        g.correct /= 2;
+      }
+    }
+  }
+
+  getSummary() {
+    const r = this.rhythmic;
+    const o = this.other;
+    const rhythmicAccuracy = r.trials > 0 ? r.correct / r.trials : null;
+    const otherAccuracy = o.trials > 0 ? o.correct / o.trials : null;
+
+    let gap = null;
+    let z = null;
+    if (rhythmicAccuracy !== null && otherAccuracy !== null) {
+      gap = rhythmicAccuracy - otherAccuracy;
+      const pooled = (r.correct + o.correct) / (r.trials + o.trials);
+      const se = Math.sqrt(pooled * (1 - pooled) * (1 / r.trials + 1 / o.trials));
+      z = se > 0 ? gap / se : 0;
+    }
+
+    return {
+      rhythmicTrials: r.trials,
+      rhythmicAccuracy,
+      otherTrials: o.trials,
+      otherAccuracy,
+      gap,
+      exploiting: r.trials >= this.minTrials && o.trials >= this.minTrials
+        && gap > this.gapThreshold && z > this.zThreshold
+    };
+  }
+
+  toJSON() {
+    return { rhythmic: { ...this.rhythmic }, other: { ...this.other } };
+  }
+
+  restore(saved) {
+    if (!saved) return;
+    if (saved.rhythmic) this.rhythmic = { trials: saved.rhythmic.trials || 0, correct: saved.rhythmic.correct || 0 };
+    if (saved.other) this.other = { trials: saved.other.trials || 0, correct: saved.other.correct || 0 };
+  }
+}
+
+// ============================================================================
+// FORGETTING CURVE (per player, per N profile decay over breaks)
+// ============================================================================
+
+// Learns how fast this player's skill fades during a break. Each break
+// gives one observation: the share of theta above baseline that survived,
+//   retention = (theta after - baseline) / (theta before - baseline)
+// with theta after measured from the first probeTrials trials alone (the
+// warm started Kalman estimate would just echo the decayed profile).
+// A 20 trial d' is noisy, so each retention carries its variance (from the
+// probe's sampling variance and the posterior variance of theta before)
+// and the fit weights it by 1 / variance. Retention is fitted to
+// exp(-hours / tau). Until there are minObservations and the fit explains
+// them within maxResidual, the fixed linear rule (full reset at
+// fixedHours) applies.
+class ForgettingCurve {
+  constructor() {
+    this.observations = []; // { gapHours, retention, variance }
+    this.tau = null;        // fitted time constant in hours
+    this.residual = null;   // weighted RMS retention error of the best tau
+
+    this.baseline = 1.5;        // AbilityModel starting theta
+    this.fixedHours = 96;       // fallback: linear, full reset after 4 days
+    this.minBreakHours = 1;     // shorter gaps say nothing about forgetting
+    this.minThetaSpread = 0.3;  // theta before must sit this far off baseline
+    this.probeTrials = 20;      // trials after a break that measure theta
+    this.minObservations = 8;
+    this.maxObservations = 30;
+    this.maxResidual = 0.35;    // weighted RMS retention error a fit may leave
+    this.minVariance = 0.01;    // caps the weight of any one break
+    this.legacyVariance = 1.0;  // observations saved without one, about a typical probe
+  }
+
+  // theta and its sampling variance over a list of { wasMatch, userClicked }
+  measureTheta(trials) {
+    const measured = measureSDT(trials);
+    return { theta: measured.dPrime, variance: measured.variance };
+  }
+
+  // Returns false when the break cannot say anything (too short, or theta
+  // before was too close to baseline for a stable ratio).
+  // varianceBefore: posterior variance of thetaBefore, varianceAfter:
+  // sampling variance of thetaAfter (see measureTheta)
+  addObservation(gapHours, thetaBefore, thetaAfter, varianceBefore = 0, varianceAfter = this.legacyVariance) {
+    const spread = thetaBefore - this.baseline;
+    if (gapHours < this.minBreakHours || Math.abs(spread) < this.minThetaSpread) return false;
+
+    const ratio = (thetaAfter - this.baseline) / spread;
+    const retention = Math.max(0, Math.min(1.5, ratio));
+    // Delta method for the ratio: var(after) / spread^2 + ratio^2 var(before) / spread^2
+    const variance = Math.max(this.minVariance,
+      (varianceAfter + ratio * ratio * varianceBefore) / (spread * spread));
+    this.observations.push({ gapHours, retention, variance });
+    if (this.observations.length > this.maxObservations) {
+      this.observations.shift();
+    }
+    this.fit();
+    return true;
+  }
+
+  // Weighted least squares tau over a log spaced grid (1h to ~10000h).
+  // A best tau that still leaves a large residual is noise, not a curve
+  fit() {
+    this.tau = null;
+    this.residual = null;
+    if (this.observations.length < this.minObservations) return;
+
+    let totalWeight = 0;
+    for (const o of this.observations) totalWeight += 1 / o.variance;
+
+    let best = null;
+    for (let i = 0; i <= 200; i++) {
+      const tau = Math.pow(10, 4 * i / 200);
+      let error = 0;
+      for (const o of this.observations) {
+        error += Math.pow(o.retention - Math.exp(-o.gapHours / tau), 2) / o.variance;
+      }
+      if (!best || error < best.error) best = { tau, error };
+    }
+    this.residual = Math.sqrt(best.error / totalWeight);
+    if (this.residual <= this.maxResidual) this.tau = best.tau;
+  }
+
+  // Share of the way back to baseline after gapHours (0 = keep, 1 = reset)
+  // source: 'fitted' or 'fixed'
+  getDecay(gapHours) {
+    if (gapHours <= 0) return { factor: 0, source: this.tau !== null ? 'fitted' : 'fixed' };
+    if (this.tau !== null) {
+      return { factor: 1 - Math.exp(-gapHours / this.tau), source: 'fitted' };
+    }
+    return { factor: Math.min(1, gapHours / this.fixedHours), source: 'fixed' };
+  }
+
+  getSummary() {
+    return {
+      observations: this.observations.length,
+      minObservations: this.minObservations,
+      tau: this.tau,
+      residual: this.residual,
+      halfLifeHours: this.tau !== null ? this.tau * Math.LN2 : null
+    };
+  }
+
+  toJSON() {
+    return { observations: this.observations.map(o => ({ ...o })) };
+  }
+
+  restore(saved) {
+    if (!saved || !Array.isArray(saved.observations)) return;
+    this.observations = saved.observations
+      .filter(o => o && typeof o.gapHours === 'number' && typeof o.retention === 'number')
+      .slice(-this.maxObservations)
+      .map(o => ({
+        gapHours: o.gapHours,
+        retention: o.retention,
+        variance: typeof o.variance === 'number' && o.variance > 0 ? o.variance : this.legacyVariance
+      }));
+    this.fit();
+  }
+}
+
+// ============================================================================
+// CHUNK PATTERNS (color sequences people already know)
+// ============================================================================
+
+// Color is hard to chunk, apart from a traffic light and a few flags. The
+// generator avoids completing these n-grams (soft constraint, see
+// ColorSequenceGenerator.avoidChunks). Matched by color name, so palettes
+// without a "white" simply never meet the white stripe flags.
+//   reversible  also blocks the sequence read backwards
+//   ngram       split a longer order (rainbow) into sliding n-grams
+const DEFAULT_CHUNK_PATTERNS = [
+  { name: 'traffic light', colors: ['red', 'yellow', 'green'], reversible: true },
+  { name: 'Germany', colors: ['black', 'red', 'yellow'], reversible: true },
+  { name: 'Belgium', colors: ['black', 'yellow', 'red'], reversible: true },
+  { name: 'Lithuania', colors: ['yellow', 'green', 'red'], reversible: true },
+  { name: 'Colombia', colors: ['yellow', 'blue', 'red'], reversible: true },
+  { name: 'France', colors: ['blue', 'white', 'red'], reversible: true },
+  { name: 'Italy', colors: ['green', 'white', 'red'], reversible: true },
+  { name: 'Ireland', colors: ['green', 'white', 'orange'], reversible: true },
+  { name: 'Russia', colors: ['white', 'blue', 'red'], reversible: true },
+  { name: 'rainbow', colors: ['red', 'orange', 'yellow', 'green', 'blue', 'purple'], reversible: true, ngram: 3 }
+];
+
+// Flatten pattern definitions into plain { name, colors } n-grams
+function expandChunkPatterns(patterns) {
+  const expanded = [];
+  const seen = new Set();
+  const add = (name, colors) => {
+    const key = colors.join('>');
+    if (seen.has(key)) return;
+    seen.add(key);
+    expanded.push({ name, colors });
+  };
+
+  for (const pattern of patterns) {
+    const size = pattern.ngram || pattern.colors.length;
+    for (let i = 0; i + size <= pattern.colors.length; i++) {
+      const colors = pattern.colors.slice(i, i + size);
+      add(pattern.name, colors);
+      if (pattern.reversible) add(pattern.name, colors.slice().reverse());
+    }
+  }
+  return expanded;
+}
+
+// ============================================================================
+// TRANSITION MODEL (Markov structure of color changes, TSE knob)
+// ============================================================================
+
+// Transition matrix over the active set, tuned to a target conditional
+// entropy H(next | last). Each row mixes a structured row (stay on the
+// color with repeatMass, otherwise step to the next color in the active
+// set's cycle order) with a uniform row over the active set:
+//   P = (1 - mix) * structured + mix * uniform
+// The target (TSE, 0..1) is linear in bits between the structured row's
+// entropy (TSE 0: long runs in a fixed cycle order) and log2(K) (TSE 1:
+// uniform switching), and mix is solved to hit it. The uniform share is
+// left to the generator's own picks (active set swaps included), so only
+// the structured share is drawn here.
+class TransitionModel {
+  constructor(n) {
+    this.n = n;
+    // Mean run of N+1 on the structured row, the n back constraint trims
+    // runs at N: N=2: 0.67, N=4: 0.80, N=7: 0.875
+    this.repeatMass = 1 - 1 / (n + 1);
+    this.targetEntropy = 1; // 0..1 of the structured to uniform range
+    this.states = 2;        // K the mix was solved for
+    this.mix = 1;
+  }
+
+  // Entropy in bits of a row over `states` colors at the given mix
+  rowEntropy(mix, states) {
+    const uniform = mix / states;
+    const probs = [
+      (1 - mix) * this.repeatMass + uniform,
+      (1 - mix) * (1 - this.repeatMass) + uniform
+    ];
+    for (let i = 2; i < states; i++) probs.push(uniform);
+    return probs.reduce((h, p) => (p > 0 ? h - p * Math.log2(p) : h), 0);
+  }
+
+  // Solve mix for the target by bisection (entropy rises with mix)
+  setTarget(targetEntropy, states) {
+    const target = Math.max(0, Math.min(1, targetEntropy));
+    if (target === this.targetEntropy && states === this.states) return;
+    this.targetEntropy = target;
+    this.states = states;
+
+    if (states < 2 || target >= 1) {
+      this.mix = 1;
+      return;
+    }
+    const minBits = this.rowEntropy(0, states);
+    const targetBits = minBits + target * (Math.log2(states) - minBits);
+    let lo = 0;
+    let hi = 1;
+    for (let i = 0; i < 30; i++) {
+      const mid = (lo + hi) / 2;
+      if (this.rowEntropy(mid, states) < targetBits) lo = mid;
+      else hi = mid;
+    }
+    this.mix = target > 0 ? hi : 0;
+  }
+
+  // Conditional entropy in bits the current mix produces
+  getExpectedEntropy() {
+    return this.rowEntropy(this.mix, this.states);
+  }
+
+  // Full matrix over the active set: { from: { to: probability } }
+  getMatrix(activeSet) {
+    const matrix = {};
+    const k = activeSet.length;
+    activeSet.forEach((from, i) => {
+      const row = {};
+      for (const to of activeSet) row[to] = this.mix / k;
+      row[from] += (1 - this.mix) * this.repeatMass;
+      row[activeSet[(i + 1) % k]] += (1 - this.mix) * (1 - this.repeatMass);
+      matrix[from] = row;
+    });
+    return matrix;
+  }
+
+  // Draw from the structured share of the row for `last`: the same color or
+  // its cycle successor, most likely first (the caller takes the first one
+  // its constraints allow). Empty when the uniform share is drawn (or `last`
+  // is not in the active set), the caller then picks as usual.
+  sampleStructured(last, activeSet, rng) {
+    const index = activeSet.indexOf(last);
+    if (index === -1 || activeSet.length < 2) return [];
+    if (rng.next() < this.mix) return [];
+    const successor = activeSet[(index + 1) % activeSet.length];
+    return rng.next() < this.repeatMass ? [last, successor] : [successor, last];
   }
 }
 
@@ -753,12 +1640,143 @@ class SPRTStopper {
 // ============================================================================
 
 class ColorSequenceGenerator {
-  constructor(n, availableColors) {
+  // chunkPatterns: expanded n-grams (expandChunkPatterns), [] turns the check off
+  constructor(n, availableColors, rng = new SeededRandom(), chunkPatterns = []) {
     this.n = n;
     this.availableColors = availableColors;
+    this.rng = rng;
     this.memoryState = new WorkingMemoryState(n);
     this.activeSet = null;
     this.swapProbability = 0.7;
+    this.forceRepairs = 0; // hard fallbacks taken (read by the SequenceAuditor)
+
+    // Anti chunking (read by the SequenceAuditor)
+    this.chunkPatterns = chunkPatterns;
+    this.chunksAvoided = 0;    // picks where a chunk completing candidate was dropped
+    this.chunkRiskAvoided = 0; // expected chunks without the filter (uniform pick)
+
+    // Anti rhythm: ABAB / ABCABC periods and ABBA / ABCBA mirrors can be
+    // followed by beat instead of memory. Runs (period 1) are left to TSE.
+    this.recentSequence = [];  // last rhythmWindow colors, across rounds
+    this.rhythmWindow = 5;     // enough history for a period 3 repeat
+    this.rhythmsAvoided = 0;
+    this.rhythmRiskAvoided = 0;
+
+    // Transition structure (TSE knob), see TransitionModel
+    this.transitionModel = new TransitionModel(n);
+
+    // Perceptual similarity (DifficultyController knob 6)
+    this.distances = this.computeDistances(availableColors);
+    this.similarityBias = 0;
+    this.similarityScale = 50; // CIEDE2000 at which two colors count as unrelated
+    this.similarityGain = 4;   // weight ratio up to e^4 for the closest pairs at bias 1
+  }
+
+  // Pairwise CIEDE2000 distances keyed by color name. Null when the colors
+  // carry no hex value, which turns similarity weighting off.
+  computeDistances(colors) {
+    if (!colors.every(c => typeof c.color === 'string' && c.color.length > 0)) return null;
+
+    const distances = {};
+    for (const a of colors) {
+      distances[a.name] = {};
+      for (const b of colors) {
+        distances[a.name][b.name] = a === b ? 0 : colorDistance(a.color, b.color);
+      }
+    }
+    return distances;
+  }
+
+  getDistance(a, b) {
+    if (!this.distances || !this.distances[a] || this.distances[a][b] === undefined) return null;
+    return this.distances[a][b];
+  }
+
+  setSimilarityBias(bias) {
+    this.similarityBias = bias;
+  }
+
+  // Pick a color entering the active set. With a similarity bias, colors
+  // close to the ones staying in play (context) are preferred:
+  // weight = exp(gain * bias * closeness), closeness = 1 - meanDistance / scale
+  pickBySimilarity(candidates, context) {
+    if (this.similarityBias <= 0 || !this.distances || context.length === 0 || candidates.length < 2) {
+      return this.rng.pick(candidates);
+    }
+
+    const weights = candidates.map(candidate => {
+      const others = context.filter(c => c !== candidate);
+      if (others.length === 0) return 1;
+      const meanDistance = others.reduce((sum, c) => sum + this.getDistance(candidate, c), 0) / others.length;
+      const closeness = Math.max(0, 1 - meanDistance / this.similarityScale);
+      return Math.exp(this.similarityGain * this.similarityBias * closeness);
+    });
+    return this.rng.pickWeighted(candidates, weights);
+  }
+
+  // True if showing candidate next completes a chunk pattern. Checks the
+  // history, which reaches n + 2 back, so n-grams up to length 4 always fit.
+  // history: colors shown so far, defaults to the live memory history
+  completesChunk(candidate, history = this.memoryState.history) {
+    return this.chunkPatterns.some(pattern => {
+      const prefix = pattern.colors.length - 1;
+      if (pattern.colors[prefix] !== candidate || history.length < prefix) return false;
+      for (let i = 0; i < prefix; i++) {
+        if (history[history.length - prefix + i] !== pattern.colors[i]) return false;
+      }
+      return true;
+    });
+  }
+
+  // Soft anti chunking: drop candidates that would complete a chunk
+  // pattern, unless that leaves nothing (constraints always win)
+  avoidChunks(candidates) {
+    if (this.chunkPatterns.length === 0 || candidates.length < 2) return candidates;
+
+    const allowed = candidates.filter(c => !this.completesChunk(c));
+    if (allowed.length === 0 || allowed.length === candidates.length) return candidates;
+
+    this.chunksAvoided++;
+    this.chunkRiskAvoided += (candidates.length - allowed.length) / candidates.length;
+    return allowed;
+  }
+
+  // True if showing candidate next makes the tail of the sequence periodic
+  // (period 2 or 3, repeated once) or a mirror of length 4 or 5. Tails with
+  // a single color are runs, not rhythms.
+  completesRhythm(candidate, sequence = this.recentSequence) {
+    const tail = [...sequence.slice(-this.rhythmWindow), candidate];
+
+    for (const period of [2, 3]) {
+      const t = tail.slice(-2 * period);
+      if (t.length < 2 * period || new Set(t).size < 2) continue;
+      if (t.every((c, i) => i < period || c === t[i - period])) return true;
+    }
+
+    for (const length of [4, 5]) {
+      const t = tail.slice(-length);
+      if (t.length < length || new Set(t).size < 2) continue;
+      if (t.every((c, i) => c === t[length - 1 - i])) return true;
+    }
+
+    return false;
+  }
+
+  // Soft anti rhythm, same contract as avoidChunks
+  avoidRhythms(candidates) {
+    if (candidates.length < 2) return candidates;
+
+    const allowed = candidates.filter(c => !this.completesRhythm(c));
+    if (allowed.length === 0 || allowed.length === candidates.length) return candidates;
+
+    this.rhythmsAvoided++;
+    this.rhythmRiskAvoided += (candidates.length - allowed.length) / candidates.length;
+    return allowed;
+  }
+
+  // Both soft filters: rhythm first, chunks on what is left
+  steerCandidates(candidates) {
+    return this.avoidChunks(this.avoidRhythms(candidates));
   }
 
   // Compute Shannon entropy of the current memory window (for stats/monitoring)
@@ -796,14 +1814,16 @@ class ColorSequenceGenerator {
     return uniqueCount === target;
   }
 
-  pickNextWithConstraint(currentWindow, candidates, target) {
+  // context: colors staying in play when the pick introduces a new color
+  // (similarity weighted), null for picks within the active set (uniform)
+  pickNextWithConstraint(currentWindow, candidates, target, context = null) {
     // Filter candidates to only those that maintain the constraint
-    const valid = candidates.filter(c =>
+    const valid = this.steerCandidates(candidates.filter(c =>
       this.isValidNextColor(currentWindow, c, target)
-    );
+    ));
 
     if (valid.length > 0) {
-      return valid[Math.floor(Math.random() * valid.length)];
+      return context ? this.pickBySimilarity(valid, context) : this.rng.pick(valid);
     }
 
     // Hard fallback: force repair if no valid candidates
@@ -811,6 +1831,8 @@ class ColorSequenceGenerator {
   }
 
   forceRepair(currentWindow, target) {
+    this.forceRepairs++;
+
     // If we're under target, introduce a new color
     const windowSize = this.n + 1;
     const recentWindow = currentWindow.slice(-windowSize);
@@ -823,7 +1845,7 @@ class ColorSequenceGenerator {
         .filter(c => !windowSet.has(c));
 
       if (available.length > 0) {
-        return available[Math.floor(Math.random() * available.length)];
+        return this.rng.pick(available);
       }
     }
 
@@ -831,7 +1853,7 @@ class ColorSequenceGenerator {
     return [...windowSet][0];
   }
 
-  generateNextColor(targetUniqueColors, shouldMatch, nBackColor, isForced = false, tse = 1.0) {
+  generateNextColor(targetUniqueColors, shouldMatch, nBackColor, isForced = false, tse = 1.0, lureColor = null) {
     const currentWindow = this.memoryState.recentColors;
 
     // Ensure target is at least 2
@@ -861,22 +1883,30 @@ class ColorSequenceGenerator {
     // When NOT creating a match, exclude the n-back color to avoid accidental matches
     const excludeColor = !shouldMatch ? nBackColor : null;
 
-    // ── TSE REPEAT BIAS ──────────────────────────────────────────────
-    // Low TSE biases toward repeating the previous color, creating longer
-    // runs and more predictable transitions. At TSE=1.0 this never fires
-    // (pure random, current behavior). Max repeat bias = 1 - 1/(N+1) so
-    // mean run targets the full window width. The n back constraint hard
-    // caps runs at N (n back catches up), giving two cooperating forces:
-    // probability aims to fill the window, n back trims at the right point.
-    // N=2: p=0.67 mean=3. N=4: p=0.80 mean=5. N=7: p=0.875 mean=8.
+    // Planned lure: reuse a near miss color (n-1, n+1 or n+2 back) when it
+    // keeps the unique color constraint and stays within the active set
+    if (!shouldMatch && lureColor && lureColor !== excludeColor) {
+      const inActiveSet = !this.activeSet || this.activeSet.includes(lureColor);
+      if (inActiveSet && this.isValidNextColor(currentWindow, lureColor, target)) {
+        return lureColor;
+      }
+    }
+
+    // ── TSE TRANSITION STRUCTURE ─────────────────────────────────────
+    // TSE is the target conditional entropy H(next | last), 0 = structured
+    // row, 1 = log2(K). The TransitionModel draws the structured share of the
+    // transition (repeat, or the next color in cycle order), the rest
+    // falls through to the K cases below. At TSE=1.0 this never fires.
+    // When neither structured pick keeps the load constraint, avoids an
+    // accidental match and completes no rhythm, it falls through as well.
+    const states = this.activeSet || [...new Set(currentWindow)];
+    this.transitionModel.setTarget(tse, Math.max(2, states.length));
     if (tse < 1.0 && currentWindow.length > 0) {
       const lastColor = currentWindow[currentWindow.length - 1];
-      if (lastColor && lastColor !== excludeColor) {
-        const repeatProb = (1 - 1 / (this.n + 1)) * (1 - tse);
-        if (Math.random() < repeatProb && this.isValidNextColor(currentWindow, lastColor, target)) {
-          return lastColor;
-        }
-      }
+      const next = this.transitionModel.sampleStructured(lastColor, states, this.rng).find(c =>
+        c !== excludeColor && this.isValidNextColor(currentWindow, c, target) && !this.completesRhythm(c)
+      );
+      if (next) return next;
     }
 
     // ALGORITHM: Three cases based on targetUniqueColors (K)
@@ -910,7 +1940,7 @@ class ColorSequenceGenerator {
         .filter(c => !windowSet.has(c) && c !== excludeColor);
 
       if (candidates.length > 0) {
-        const newColor = this.pickNextWithConstraint(currentWindow, candidates, target);
+        const newColor = this.pickNextWithConstraint(currentWindow, candidates, target, uniqueColors);
         // Initialize active pair
         if (uniqueColors.length === 1) {
           this.activeSet = [uniqueColors[0], newColor];
@@ -928,20 +1958,20 @@ class ColorSequenceGenerator {
     }
 
     // Occasionally swap one color for novelty
-    if (Math.random() < this.swapProbability) {
-      const keep = this.activeSet[Math.floor(Math.random() * this.activeSet.length)];
+    if (this.rng.next() < this.swapProbability) {
+      const keep = this.rng.pick(this.activeSet);
       const availableForSwap = this.availableColors
         .map(c => c.name)
         .filter(c => !this.activeSet.includes(c));
 
       if (availableForSwap.length > 0) {
         // Validate the replacement maintains constraint
-        const validReplacements = availableForSwap.filter(replacement =>
+        const validReplacements = this.steerCandidates(availableForSwap.filter(replacement =>
           this.isValidNextColor(currentWindow, replacement, target)
-        );
+        ));
 
         if (validReplacements.length > 0) {
-          const replacement = validReplacements[Math.floor(Math.random() * validReplacements.length)];
+          const replacement = this.pickBySimilarity(validReplacements, [keep]);
           this.activeSet = [keep, replacement];
           return replacement;
         }
@@ -967,8 +1997,8 @@ class ColorSequenceGenerator {
       .map(c => c.name)
       .filter(c => !windowSet.has(c) && c !== excludeColor);
 
-    // Use constraint validation to pick
-    return this.pickNextWithConstraint(currentWindow, candidates, target);
+    // Use constraint validation to pick (every pick is new, weigh against the window)
+    return this.pickNextWithConstraint(currentWindow, candidates, target, [...windowSet]);
   }
 
   generateForMidLoad(currentWindow, excludeColor, target) {
@@ -984,7 +2014,7 @@ class ColorSequenceGenerator {
         .filter(c => !windowSet.has(c) && c !== excludeColor);
 
       if (candidates.length > 0) {
-        const newColor = this.pickNextWithConstraint(currentWindow, candidates, target);
+        const newColor = this.pickNextWithConstraint(currentWindow, candidates, target, uniqueColors);
         // Add to active set
         if (!this.activeSet) {
           this.activeSet = [...uniqueColors, newColor];
@@ -1001,8 +2031,8 @@ class ColorSequenceGenerator {
     }
 
     // Occasionally swap one color for novelty
-    if (Math.random() < this.swapProbability) {
-      const keepIndex = Math.floor(Math.random() * this.activeSet.length);
+    if (this.rng.next() < this.swapProbability) {
+      const keepIndex = this.rng.nextInt(this.activeSet.length);
       const keep = this.activeSet.filter((_, i) => i !== keepIndex);
 
       const availableForSwap = this.availableColors
@@ -1011,12 +2041,12 @@ class ColorSequenceGenerator {
 
       if (availableForSwap.length > 0) {
         // Validate the replacement maintains constraint
-        const validReplacements = availableForSwap.filter(replacement =>
+        const validReplacements = this.steerCandidates(availableForSwap.filter(replacement =>
           this.isValidNextColor(currentWindow, replacement, target)
-        );
+        ));
 
         if (validReplacements.length > 0) {
-          const replacement = validReplacements[Math.floor(Math.random() * validReplacements.length)];
+          const replacement = this.pickBySimilarity(validReplacements, keep);
           this.activeSet = [...keep, replacement];
           return replacement;
         }
@@ -1035,6 +2065,11 @@ class ColorSequenceGenerator {
 
   updateMemoryState(color) {
     this.memoryState.addColor(color);
+
+    this.recentSequence.push(color);
+    if (this.recentSequence.length > this.rhythmWindow) {
+      this.recentSequence.shift();
+    }
   }
 
   getMemoryState() {
@@ -1048,8 +2083,9 @@ class ColorSequenceGenerator {
 // ============================================================================
 
 class MatchGenerator {
-  constructor(targetMatchRate = 0.30) {
+  constructor(targetMatchRate = 0.30, rng = new SeededRandom()) {
     this.targetRate = targetMatchRate;
+    this.rng = rng;
 
     this.recentMatches = [];
     this.windowSize = 20;
@@ -1094,7 +2130,7 @@ class MatchGenerator {
 
     probability = Math.min(Math.max(probability, 0), 1);
 
-    const shouldMatch = Math.random() < probability;
+    const shouldMatch = this.rng.next() < probability;
 
     // NOTE: We don't record here - we record after color validation
     // to avoid desynchronization when matches are rejected by constraints
@@ -1102,6 +2138,19 @@ class MatchGenerator {
     return { shouldMatch, isForced: isForced && shouldMatch };
   }
 
+  // Pick a lure lag for a non match trial, or null for a plain non match.
+  // Offsets relative to N: -1 (not for 1-back), +1 and +2.
+  pickLureLag(memoryState, lureRate) {
+    if (lureRate <= 0 || this.rng.next() >= lureRate) return null;
+
+    const n = memoryState.n;
+    const lags = [n - 1, n + 1, n + 2].filter(lag =>
+      lag >= 1 && memoryState.getColorAtLag(lag) !== null
+    );
+    if (lags.length === 0) return null;
+    return this.rng.pick(lags);
+  }
+
   registerActualMatch(didMatch) {
     // Record the actual match result after color generation
     this.recentMatches.push(didMatch);
@@ -1133,23 +2182,347 @@ class MatchGenerator {
   }
 }
 
+// ============================================================================
+// BLOCK SEQUENCE SOLVER (block mode: a whole round planned up front)
+// ============================================================================
+
+// Plans a round with an exact number of targets and lures, every full window
+// held at exactly K unique colors (target windows at most K, like
+// isValidMatchColor) and no forced repairs. Randomized depth first search:
+// each position prefers the trial type its remaining quota asks for, then
+// colors that complete no chunk or rhythm. Low K leaves few colors per
+// position and lures then happen whether planned or not, so when no plan
+// hits the lure count exactly the tolerance is widened (lureSlack).
+class BlockSequenceSolver {
+  constructor(n, colorGenerator) {
+    this.n = n;
+    this.colorGenerator = colorGenerator; // palette, rng and the chunk / rhythm checks
+    this.nodeBudget = 4000;               // search nodes per lure tolerance
+    this.lureTolerances = [0, 1, 2, 4, Infinity];
+    this.nodes = 0;
+  }
+
+  // spec: { length, targets, lures, targetK, maxGap }. Targets and lures
+  // count from position n on (the trials the player answers).
+  // Returns { colors, targets, lures, lureSlack } or null.
+  solve(spec) {
+    for (const tolerance of this.lureTolerances) {
+      this.nodes = 0;
+      const colors = this.search(spec, tolerance);
+      if (colors) {
+        const lures = colors.filter((c, i) => this.classify(colors.slice(0, i), c).isLure).length;
+        return {
+          colors,
+          targets: spec.targets,
+          lures,
+          lureSlack: Math.abs(lures - spec.lures)
+        };
+      }
+    }
+    return null;
+  }
+
+  // Target / lure status of showing color after sequence (null if unscored)
+  classify(sequence, color) {
+    const i = sequence.length;
+    if (i < this.n) return { isTarget: false, isLure: false };
+    const isTarget = sequence[i - this.n] === color;
+    const isLure = !isTarget && [this.n - 1, this.n + 1, this.n + 2].some(lag =>
+      lag >= 1 && i - lag >= 0 && sequence[i - lag] === color
+    );
+    return { isTarget, isLure };
+  }
+
+  fitsLoad(sequence, color, isTarget, targetK) {
+    const window = [...sequence.slice(-this.n), color];
+    const unique = new Set(window).size;
+    if (sequence.length < this.n || isTarget) return unique <= targetK;
+    return unique === targetK;
+  }
+
+  search(spec, tolerance) {
+    const cg = this.colorGenerator;
+    const rng = cg.rng;
+    const names = cg.availableColors.map(c => c.name);
+    const sequence = [];
+
+    const place = (targets, lures, sinceTarget) => {
+      const i = sequence.length;
+      if (i === spec.length) {
+        return targets === spec.targets && Math.abs(lures - spec.lures) <= tolerance;
+      }
+      if (++this.nodes > this.nodeBudget) return false;
+
+      const scored = i >= this.n;
+      const remaining = spec.length - i; // scored positions left, this one included
+      const targetsLeft = spec.targets - targets;
+      const wantTarget = scored && rng.next() < targetsLeft / remaining;
+      const wantLure = scored && !wantTarget && rng.next() < (spec.lures - lures) / (remaining - targetsLeft);
+
+      // Shuffle, then stable sort: wanted type first, chunk / rhythm free first
+      const options = names.map(color => ({ color, ...this.classify(sequence, color) }))
+        .filter(o => this.fitsLoad(sequence, o.color, o.isTarget, spec.targetK));
+      for (let j = options.length - 1; j > 0; j--) {
+        const k = rng.nextInt(j + 1);
+        [options[j], options[k]] = [options[k], options[j]];
+      }
+      const cost = o => (o.isTarget !== wantTarget || (!o.isTarget && o.isLure !== wantLure) ? 2 : 0)
+        + (cg.completesChunk(o.color, sequence) || cg.completesRhythm(o.color, sequence) ? 1 : 0);
+      options.sort((a, b) => cost(a) - cost(b));
+
+      for (const option of options) {
+        const nextTargets = targets + (option.isTarget ? 1 : 0);
+        const nextLures = lures + (option.isLure ? 1 : 0);
+        const nextSince = !scored ? 0 : option.isTarget ? 0 : sinceTarget + 1;
+        const left = remaining - 1;
+
+        if (nextTargets > spec.targets || spec.targets - nextTargets > left) continue;
+        // the targets left must still be able to break up the rest into gaps
+        if (nextSince > spec.maxGap) continue;
+        if (left > spec.maxGap - nextSince + (spec.targets - nextTargets) * (spec.maxGap + 1)) continue;
+        if (nextLures > spec.lures + tolerance) continue;
+        if (nextLures + (left - (spec.targets - nextTargets)) < spec.lures - tolerance) continue;
+
+        sequence.push(option.color);
+        if (place(nextTargets, nextLures, nextSince)) return true;
+        sequence.pop();
+        if (this.nodes > this.nodeBudget) return false;
+      }
+      return false;
+    };
+
+    return place(0, 0, 0) ? sequence : null;
+  }
+}
+
+// ============================================================================
+// SEQUENCE AUDITOR (what the generators actually produced in a round)
+// ============================================================================
+
+// Records every generated tile of a round and scores the sequence against
+// what the generators were asked for. Flags:
+//   matchRate    actual match rate off the target by more than the tolerance
+//   matchGap     a drought longer than the MatchGenerator gap limit
+//   forcedMatch  most matches had to be forced by gap pressure
+//   forceRepair  the color generator hit its hard fallback
+//   loadOverrun  a full window held more unique colors than the target K
+//   chunk        a chunk pattern made it through (matches and lures ignore it)
+//   rhythm       more than rhythmShareLimit of the tiles completed a rhythm
+class SequenceAuditor {
+  constructor(n, chunkPatterns = []) {
+    this.n = n;
+    this.chunkPatterns = chunkPatterns;
+    this.trials = [];
+
+    this.matchRateTolerance = 0.10;
+    this.minTrialsForRate = 20;   // match rate is too noisy below this
+    this.forcedMatchShare = 0.5;
+    this.rhythmShareLimit = 0.3; // 1-back at K=2 alternates by construction
+  }
+
+  // entry: { color, isMatch, isForced, repaired, targetK, load, windowFull,
+  //          entropy (bits, null until the window is full), targetRate, maxGap,
+  //          chunkRisk (share of candidates dropped by avoidChunks, 0 if none),
+  //          rhythmic (tile completed a rhythm), rhythmRisk (as chunkRisk),
+  //          transitionEntropy (bits the TransitionModel aimed for, null for
+  //          planned block trials) }
+  record(entry) {
+    this.trials.push(entry);
+  }
+
+  reset() {
+    this.trials = [];
+  }
+
+  // Longest stretch of consecutive equal values
+  longestRun(values) {
+    let longest = 0;
+    let current = 0;
+    for (let i = 0; i < values.length; i++) {
+      current = i > 0 && values[i] === values[i - 1] ? current + 1 : 1;
+      longest = Math.max(longest, current);
+    }
+    return longest;
+  }
+
+  // Measured H(next | last) in bits over consecutive colors of the round
+  // (biased low on short rounds, most color pairs are seen only a few times)
+  conditionalEntropy(colors) {
+    const counts = {};
+    for (let i = 1; i < colors.length; i++) {
+      const row = counts[colors[i - 1]] || (counts[colors[i - 1]] = {});
+      row[colors[i]] = (row[colors[i]] || 0) + 1;
+    }
+    const total = colors.length - 1;
+    let entropy = 0;
+    for (const from in counts) {
+      const row = Object.values(counts[from]);
+      const rowTotal = row.reduce((a, b) => a + b, 0);
+      for (const count of row) {
+        entropy -= (rowTotal / total) * (count / rowTotal) * Math.log2(count / rowTotal);
+      }
+    }
+    return entropy;
+  }
+
+  getReport() {
+    const trials = this.trials;
+    const colors = trials.map(t => t.color);
+
+    // Matches only exist once there is an n back color
+    const eligible = trials.slice(this.n);
+    const matches = eligible.filter(t => t.isMatch).length;
+    const forcedMatches = eligible.filter(t => t.isMatch && t.isForced).length;
+    const matchRate = eligible.length > 0 ? matches / eligible.length : null;
+    const targetMatchRate = eligible.length > 0
+      ? eligible.reduce((sum, t) => sum + t.targetRate, 0) / eligible.length
+      : null;
+
+    // Longest run without a match, against the loosest gap limit seen
+    let longestMatchGap = 0;
+    let gap = 0;
+    for (const t of eligible) {
+      gap = t.isMatch ? 0 : gap + 1;
+      longestMatchGap = Math.max(longestMatchGap, gap);
+    }
+    const maxGap = eligible.reduce((max, t) => Math.max(max, t.maxGap), 0);
+
+    // Color runs (same color back to back)
+    let runs = 0;
+    for (let i = 0; i < colors.length; i++) {
+      if (i === 0 || colors[i] !== colors[i - 1]) runs++;
+    }
+
+    // Window entropy against the most a window with K colors can hold
+    const full = trials.filter(t => t.windowFull);
+    const meanWindowEntropy = full.length > 0
+      ? full.reduce((sum, t) => sum + t.entropy, 0) / full.length
+      : null;
+    const meanTargetEntropy = full.length > 0
+      ? full.reduce((sum, t) => sum + Math.log2(t.targetK), 0) / full.length
+      : null;
+    const loadOverruns = full.filter(t => t.load > t.targetK).length;
+    const loadShortfalls = full.filter(t => t.load < t.targetK).length;
+
+    // Color triplets seen more than once (extra occurrences)
+    const tripletCounts = {};
+    for (let i = 2; i < colors.length; i++) {
+      const key = colors.slice(i - 2, i + 1).join('>');
+      tripletCounts[key] = (tripletCounts[key] || 0) + 1;
+    }
+    let repeatedTriplets = 0;
+    let topTriplet = null;
+    for (const key in tripletCounts) {
+      repeatedTriplets += tripletCounts[key] - 1;
+      if (tripletCounts[key] > 1 && (!topTriplet || tripletCounts[key] > topTriplet.count)) {
+        topTriplet = { triplet: key, count: tripletCounts[key] };
+      }
+    }
+
+    const forceRepairs = trials.filter(t => t.repaired).length;
+
+    // Chunk patterns shown anyway, and the ones the generator steered around
+    const chunksSeen = [];
+    for (let i = 0; i < colors.length; i++) {
+      for (const pattern of this.chunkPatterns) {
+        const start = i - pattern.colors.length + 1;
+        if (start >= 0 && pattern.colors.every((c, j) => colors[start + j] === c)) {
+          chunksSeen.push(pattern.name);
+        }
+      }
+    }
+    const chunksAvoided = trials.filter(t => t.chunkRisk > 0).length;
+    const chunkRiskAvoided = trials.reduce((sum, t) => sum + (t.chunkRisk || 0), 0);
+
+    const rhythmsSeen = trials.filter(t => t.rhythmic).length;
+    const rhythmsAvoided = trials.filter(t => t.rhythmRisk > 0).length;
+    const rhythmicShare = trials.length > 0 ? rhythmsSeen / trials.length : 0;
+
+    // Transition structure: measured conditional entropy against the model
+    const modelled = trials.filter(t => t.transitionEntropy !== null && t.transitionEntropy !== undefined);
+    const conditionalEntropy = colors.length >= 2 ? this.conditionalEntropy(colors) : null;
+    const modelTransitionEntropy = modelled.length > 0
+      ? modelled.reduce((sum, t) => sum + t.transitionEntropy, 0) / modelled.length
+      : null;
+
+    const flags = [];
+    if (eligible.length >= this.minTrialsForRate && Math.abs(matchRate - targetMatchRate) > this.matchRateTolerance) {
+      flags.push('matchRate');
+    }
+    if (maxGap > 0 && longestMatchGap > maxGap + 1) flags.push('matchGap');
+    if (matches > 0 && forcedMatches / matches > this.forcedMatchShare) flags.push('forcedMatch');
+    if (forceRepairs > 0) flags.push('forceRepair');
+    if (loadOverruns > 0) flags.push('loadOverrun');
+    if (chunksSeen.length > 0) flags.push('chunk');
+    if (rhythmicShare > this.rhythmShareLimit) flags.push('rhythm');
+
+    return {
+      trials: trials.length,
+      matches,
+      matchRate,
+      targetMatchRate,
+      forcedMatches,
+      longestMatchGap,
+      maxGap,
+      meanRunLength: runs > 0 ? colors.length / runs : null,
+      longestRun: this.longestRun(colors),
+      meanWindowEntropy,
+      meanTargetEntropy,
+      loadOverruns,
+      loadShortfalls,
+      repeatedTriplets,
+      topTriplet,
+      forceRepairs,
+      chunksSeen,
+      chunksAvoided,
+      chunkRiskAvoided,
+      rhythmsSeen,
+      rhythmsAvoided,
+      rhythmicShare,
+      conditionalEntropy,
+      modelTransitionEntropy,
+      flags
+    };
+  }
+}
+
 // ============================================================================
 // MAIN WORKING MEMORY TRAINER
 // ============================================================================
 
+// Reactions outside these bounds or tapped twice are rejected (classifyTrial)
+const REJECT_RT_MIN = 150;       // faster than a tile can be seen and judged
+const REJECT_RT_MAX = 5000;      // slower than an engaged player
+const DOUBLE_TAP_WINDOW = 300;   // ms between two taps on one tile that are one gesture
+
 class WorkingMemoryTrainer {
-  constructor(n, colors) {
+  // chunkPatterns: pattern definitions (DEFAULT_CHUNK_PATTERNS format)
+  constructor(n, colors, rng = new SeededRandom(), chunkPatterns = DEFAULT_CHUNK_PATTERNS) {
     this.n = n;
     this.colors = colors;
+    this.rng = rng; // shared by every generator so a seed replays the whole round
+    this.chunkPatterns = expandChunkPatterns(chunkPatterns);
 
     // New unified components
     this.abilityModel = new AbilityModel();
-    this.difficultyController = new DifficultyController(n);
+    this.difficultyController = new DifficultyController(n, colors.length);
     this.sprtStopper = new SPRTStopper();
+    this.masterySPRT = new MasterySPRT();
+    this.confusionTracker = new ConfusionTracker();
+    this.sequenceAuditor = new SequenceAuditor(n, this.chunkPatterns);
+    this.rhythmTracker = new RhythmExploitTracker();
+    this.forgettingCurve = new ForgettingCurve();
+    this.breakProbe = null; // { gapHours, thetaBefore, trials } while measuring a break
+    this.transfer = null;   // prediction from the level below (transferProfile)
 
     // Preserved components
-    this.colorGenerator = new ColorSequenceGenerator(n, colors);
-    this.matchGenerator = new MatchGenerator(0.30);
+    this.colorGenerator = new ColorSequenceGenerator(n, colors, this.rng, this.chunkPatterns);
+    this.matchGenerator = new MatchGenerator(0.30, this.rng);
+
+    // Block mode (startBlock): the round is planned up front by the solver
+    this.blockSolver = new BlockSequenceSolver(n, this.colorGenerator);
+    this.block = null;   // { colors, targets, lures, lureSlack, length, targetK, targetRate, maxGap }
+    this.blockIndex = 0; // next planned trial
 
     this.trialNumber = 0;
     this.currentTile = null;
@@ -1163,41 +2536,91 @@ class WorkingMemoryTrainer {
   }
 
   generateNextTrial() {
-    // 1. Update match generator with dynamic rate from controller
-    this.matchGenerator.setTargetRate(this.difficultyController.getMatchRate());
+    const planned = this.block !== null && this.blockIndex < this.block.colors.length;
+
+    // 1. Update generators with dynamic match rate and color similarity from controller
+    // (a planned block keeps the knobs it was built with)
+    if (!planned) {
+      this.matchGenerator.setTargetRate(this.difficultyController.getMatchRate());
+      this.colorGenerator.setSimilarityBias(this.difficultyController.getSimilarityBias());
+    }
 
     // 2. Get target number of unique colors from controller
-    const targetUniqueColors = this.difficultyController.getTargetUniqueColors();
+    const targetUniqueColors = planned ? this.block.targetK : this.difficultyController.getTargetUniqueColors();
 
-    // 3. Decide if this should be a match
+    // 3. Get the n-back color
     const memoryState = this.colorGenerator.getMemoryState();
-    const matchDecision = this.matchGenerator.shouldCreateMatch(memoryState);
-    const shouldMatch = matchDecision.shouldMatch;
-    const isForced = matchDecision.isForced;
-
-    // 4. Get the n-back color
     const nBackColor = this.matchGenerator.getNBackColor(memoryState);
 
-    // 5. Generate appropriate color (pass TSE for transition structure control)
-    let color = this.colorGenerator.generateNextColor(
-      targetUniqueColors, shouldMatch, nBackColor, isForced,
-      this.difficultyController.tse
-    );
+    // (repairs while the window is still filling up are expected)
+    const repairsBefore = this.colorGenerator.forceRepairs;
+    const chunkRiskBefore = this.colorGenerator.chunkRiskAvoided;
+    const rhythmRiskBefore = this.colorGenerator.rhythmRiskAvoided;
+    const windowWasFull = memoryState.recentColors.length === this.n + 1;
 
-    // 6. Update memory state
-    this.colorGenerator.updateMemoryState(color);
+    let color;
+    let isForced = false;
+    if (planned) {
+      // 4-6. Block mode: the plan already meets every constraint
+      color = this.block.colors[this.blockIndex++];
+    } else {
+      // 4. Decide if this should be a match
+      const matchDecision = this.matchGenerator.shouldCreateMatch(memoryState);
+      const shouldMatch = matchDecision.shouldMatch;
+      isForced = matchDecision.isForced;
+
+      // 5. Non matches may be placed as lures (n-1 / n+1 / n+2 back color)
+      const lureLag = shouldMatch ? null
+        : this.matchGenerator.pickLureLag(memoryState, this.difficultyController.getLureRate());
+      const lureColor = lureLag ? memoryState.getColorAtLag(lureLag) : null;
+
+      // 6. Generate appropriate color (pass TSE for transition structure control)
+      color = this.colorGenerator.generateNextColor(
+        targetUniqueColors, shouldMatch, nBackColor, isForced,
+        this.difficultyController.tse, lureColor
+      );
+    }
 
-    // 7. Determine if this is actually a match
+    // 7. Determine if this is actually a match or lure (before the window shifts)
     const actuallyIsMatch = nBackColor && color === nBackColor;
+    const lureOffset = actuallyIsMatch ? null : this.findLureOffset(memoryState, color);
+    const isRhythmic = this.colorGenerator.completesRhythm(color);
+
+    // 8. Update memory state
+    this.colorGenerator.updateMemoryState(color);
 
-    // 8. Register the actual match result
+    // 9. Register the actual match result
     this.matchGenerator.registerActualMatch(actuallyIsMatch);
 
-    // 9. Create tile
+    // 10. Audit what was produced against what was asked for
+    const recentWindow = memoryState.getRecentColors();
+    const windowFull = recentWindow.length === this.n + 1;
+    this.sequenceAuditor.record({
+      color,
+      isMatch: !!actuallyIsMatch,
+      isForced,
+      repaired: windowWasFull && this.colorGenerator.forceRepairs > repairsBefore,
+      targetK: targetUniqueColors,
+      load: memoryState.getCurrentLoad(),
+      windowFull,
+      entropy: windowFull ? this.colorGenerator.computeEntropy(recentWindow) : null,
+      targetRate: planned ? this.block.targetRate : this.matchGenerator.targetRate,
+      maxGap: planned ? this.block.maxGap : this.matchGenerator.maxGap,
+      chunkRisk: this.colorGenerator.chunkRiskAvoided - chunkRiskBefore,
+      rhythmic: isRhythmic,
+      rhythmRisk: this.colorGenerator.rhythmRiskAvoided - rhythmRiskBefore,
+      transitionEntropy: planned ? null : this.colorGenerator.transitionModel.getExpectedEntropy()
+    });
+
+    // 11. Create tile
     this.currentTile = {
       color: color,
       position: this.generatePosition(targetUniqueColors),
       isMatch: actuallyIsMatch, // Use actual match, not intended match
+      isLure: lureOffset !== null, // Actual lure, planned or accidental
+      lureOffset: lureOffset,      // -1, +1 or +2 relative to N, null if no lure
+      nBackColor: nBackColor,      // color the player compares against (confusion tracking)
+      isRhythmic: isRhythmic,      // completes an ABAB / ABBA style rhythm (exploit tracking)
       currentLoad: memoryState.getCurrentLoad(),
       targetLoad: targetUniqueColors,
       targetUniqueColors: targetUniqueColors,
@@ -1209,42 +2632,156 @@ class WorkingMemoryTrainer {
     return this.currentTile;
   }
 
-  recordResponse(userClicked, wasMatch, reactionTime) {
-    const correct = userClicked === wasMatch;
-
-    // Validate trial (reject outliers)
-    const isValid = this.isValidTrial(reactionTime);
+  // Block mode: plan the next `length` trials with the controller's knobs as
+  // they are now. The controller still learns from every response, its
+  // changes reach the sequence with the next block. The window starts empty
+  // so targets and lures count within the block, the way main.js judges a
+  // round. Returns the plan, or null when the solver found none (the block
+  // then runs on the trial by trial generators).
+  startBlock(length) {
+    const dc = this.difficultyController;
+    const cg = this.colorGenerator;
+    const scored = Math.max(0, length - this.n);
+
+    this.matchGenerator.setTargetRate(dc.getMatchRate());
+    cg.setSimilarityBias(dc.getSimilarityBias());
+    const targetK = Math.min(this.n + 1, Math.max(2, dc.getTargetUniqueColors()));
+    const targets = Math.round(this.matchGenerator.targetRate * scored);
+    const lures = Math.round(dc.getLureRate() * (scored - targets));
+    // exact counts replace gap pressure, the gap limit only has to stay reachable
+    const maxGap = Math.max(this.matchGenerator.maxGap, Math.ceil(scored / (targets + 1)));
+
+    cg.memoryState = new WorkingMemoryState(this.n);
+    cg.recentSequence = [];
+    cg.activeSet = null;
+
+    const plan = this.blockSolver.solve({ length, targets, lures, targetK, maxGap });
+    this.block = plan ? {
+      ...plan,
+      length,
+      targetK,
+      targetRate: scored > 0 ? targets / scored : 0,
+      maxGap
+    } : null;
+    this.blockIndex = 0;
+    return this.block;
+  }
+
+  clearBlock() {
+    this.block = null;
+    this.blockIndex = 0;
+  }
+
+  // Measure the break the profile was just warm started across. thetaBefore
+  // and varianceBefore are the saved posterior before any decay was applied.
+  startBreakProbe(gapHours, thetaBefore, varianceBefore = 0) {
+    if (gapHours < this.forgettingCurve.minBreakHours) return;
+    this.breakProbe = { gapHours, thetaBefore, varianceBefore, trials: [] };
+  }
+
+  // Offset relative to N (-1, +1, +2) of the first lag that repeats this
+  // color, or null. Must run before the color is added to the window.
+  findLureOffset(memoryState, color) {
+    for (const offset of [-1, 1, 2]) {
+      const lag = this.n + offset;
+      if (lag >= 1 && memoryState.getColorAtLag(lag) === color) return offset;
+    }
+    return null;
+  }
+
+  // details: optional per trial context from the UI
+  //   { isLure, dualResponse, omission, tile, secondTap, idleTime, timingFlagged }
+  // dualResponse: two button mode (match / no match), omission: no answer
+  // before the deadline, always an error there. tile: the tile answered when
+  // it is no longer the current one (late click grace period in main.js),
+  // reactionTime then counts from that tile.
+  // secondTap: ms from the answer to a second tap on the same tile.
+  // idleTime: for an omission, ms the player had gone without answering.
+  // timingFlagged: frames were dropped before the answer, RT is unreliable
+  recordResponse(userClicked, wasMatch, reactionTime, details = {}) {
+    const omission = !!details.omission;
+    const correct = !omission && userClicked === wasMatch;
+    const tile = details.tile || this.currentTile;
+
+    // Validate trial (reject outliers, the caller keeps the reason)
+    const rejection = this.classifyTrial(reactionTime, details);
+    const isValid = rejection === null;
 
     // Store last trial result
     if (isValid) {
       this.lastTrialCorrect = correct;
 
       // Update AbilityModel first (single source of truth)
-      this.abilityModel.recordTrial(wasMatch, userClicked, reactionTime);
+      this.abilityModel.recordTrial(wasMatch, userClicked, reactionTime, !!details.isLure, omission);
 
       // DifficultyController reads from AbilityModel
       this.difficultyController.update(this.abilityModel);
 
-      // SPRT stopper tracks trial outcomes
-      this.sprtStopper.recordTrial(correct, wasMatch, userClicked);
+      // SPRT stopper tracks trial outcomes, cross checked with the theta posterior
+      this.sprtStopper.setAbilityPosterior(this.abilityModel.theta, this.abilityModel.thetaVariance);
+      this.sprtStopper.recordTrial(correct, wasMatch, userClicked, !!details.dualResponse);
+
+      // Mastery SPRT only counts trials near max load. Uses the K the tile was
+      // generated for: the window of a target tile holds at most n unique
+      // colors, so its actual load would never count at max load
+      if (tile) {
+        this.masterySPRT.setAbilityPosterior(this.abilityModel.theta, this.abilityModel.thetaVariance);
+        this.masterySPRT.recordTrial(correct, wasMatch, tile.targetLoad, this.difficultyController.maxUniqueColors);
+      }
+
+      // Per color pair false alarms on the tile being answered
+      if (!wasMatch && !omission && tile) {
+        this.confusionTracker.record(tile.color, tile.nBackColor, userClicked);
+      }
+
+      // Accuracy on rhythmic tiles vs the rest
+      if (tile) {
+        this.rhythmTracker.record(!!tile.isRhythmic, correct);
+      }
+
+      // First trials after a break measure what the break cost
+      if (this.breakProbe) {
+        this.breakProbe.trials.push({ wasMatch, userClicked, omission });
+        if (this.breakProbe.trials.length >= this.forgettingCurve.probeTrials) {
+          const after = this.forgettingCurve.measureTheta(this.breakProbe.trials);
+          this.forgettingCurve.addObservation(this.breakProbe.gapHours, this.breakProbe.thetaBefore, after.theta,
+            this.breakProbe.varianceBefore || 0, after.variance);
+          this.breakProbe = null;
+        }
+      }
     }
 
     return {
       correct,
       wasMatch,
       feedback: this.generateFeedback(correct, wasMatch),
-      isValid
+      isValid,
+      rejection
     };
   }
 
-  isValidTrial(reactionTime) {
-    // Reject suspiciously fast reactions (< 150ms = likely accidental click)
-    if (reactionTime < 150) return false;
+  // Why a trial is left out of the models, null when it counts:
+  //   anticipation  clicked before the tile could be judged, a guess
+  //   doubleTap     tapped twice as one gesture, not a single answer
+  //   distracted    no reaction for too long (a click or details.idleTime
+  //                 over REJECT_RT_MAX), not engaged
+  //   timing        the display stalled before the answer (details.timingFlagged)
+  classifyTrial(reactionTime, details = {}) {
+    if (details.timingFlagged) return 'timing';
 
-    // Reject impossibly slow reactions (> 5000ms = distracted/not engaged)
-    if (reactionTime > 5000) return false;
+    const secondTap = details.secondTap;
+    if (secondTap !== undefined && secondTap !== null && secondTap < DOUBLE_TAP_WINDOW) {
+      return 'doubleTap';
+    }
+    if (reactionTime < REJECT_RT_MIN) return 'anticipation';
 
-    return true;
+    const idleTime = details.idleTime !== undefined && details.idleTime !== null ? details.idleTime : reactionTime;
+    if (idleTime > REJECT_RT_MAX) return 'distracted';
+    return null;
+  }
+
+  isValidTrial(reactionTime, details = {}) {
+    return this.classifyTrial(reactionTime, details) === null;
   }
 
   generateFeedback(correct, wasMatch) {
@@ -1276,13 +2813,13 @@ class WorkingMemoryTrainer {
         !this.recentPositions.some(recent => recent.row === pos.row && recent.col === pos.col)
       );
       if (available.length > 0) {
-        chosen = available[Math.floor(Math.random() * available.length)];
+        chosen = this.rng.pick(available);
       } else {
         // All positions used recently, fall back to random
-        chosen = positions[Math.floor(Math.random() * positions.length)];
+        chosen = this.rng.pick(positions);
       }
     } else {
-      chosen = positions[Math.floor(Math.random() * positions.length)];
+      chosen = this.rng.pick(positions);
     }
 
     // Track recent positions (keep last 3)
@@ -1304,6 +2841,7 @@ class WorkingMemoryTrainer {
 
     // Compute current window entropy
     const windowEntropy = this.colorGenerator.computeEntropy(memoryState.getRecentColors());
+    const distanceFn = (a, b) => this.colorGenerator.getDistance(a, b);
 
     return {
       n: this.n,
@@ -1312,16 +2850,33 @@ class WorkingMemoryTrainer {
 
       // New unified metrics
       theta: ability.theta,
+      thetaVariance: ability.thetaVariance,
+      thetaLower: ability.thetaLower,
+      thetaUpper: ability.thetaUpper,
       thetaTrend: ability.thetaTrend,
       flowScore: ability.flowScore,
       fatigueIndex: ability.fatigueIndex,
       targetEntropy: difficulty.targetEntropy,
       tse: difficulty.tse,
-      tsePhase: difficulty.phaseGraduated ? 3 : difficulty.tse < 0.5 ? 1 : difficulty.tse < 0.75 ? 2 : 3,
+      tsePhase: difficulty.tsePhase,
+      transitionEntropy: this.colorGenerator.transitionModel.getExpectedEntropy(),
+      transitionMix: this.colorGenerator.transitionModel.mix,
       windowEntropy: windowEntropy,
       matchRate: difficulty.matchRate,
+      lureRate: difficulty.lureRate,
+      similarityBias: difficulty.similarityBias,
+      confusion: this.confusionTracker.getSummary(distanceFn),
+      confusionPairs: this.confusionTracker.getPairs(distanceFn),
+      rhythmExploit: this.rhythmTracker.getSummary(),
+      forgetting: this.forgettingCurve.getSummary(),
+      transfer: this.transfer ? {
+        fromN: this.transfer.fromN,
+        predictedTheta: this.transfer.predictedTheta,
+        result: cloneState(this.transfer.result)
+      } : null,
       stimulusInterval: difficulty.stimulusInterval,
       sprtStatus: sprt,
+      mastery: this.masterySPRT.getStatus(),
 
       // Ability detail
       rtMedian: ability.rtMedian,
@@ -1330,6 +2885,14 @@ class WorkingMemoryTrainer {
       misses: ability.misses,
       falseAlarms: ability.falseAlarms,
       correctRejections: ability.correctRejections,
+      lureFalseAlarms: ability.lureFalseAlarms,
+      lureCorrectRejections: ability.lureCorrectRejections,
+      omissions: ability.omissions,
+      omissionRate: ability.omissionRate,
+      lureFaRate: ability.lureFaRate,
+      ordinaryFaRate: ability.ordinaryFaRate,
+      criterion: ability.criterion,
+      logBeta: ability.logBeta,
 
       targetUniqueColors: difficulty.currentUniqueColors,
       maxUniqueColors: difficulty.maxUniqueColors,
@@ -1350,11 +2913,20 @@ class WorkingMemoryTrainer {
   reset() {
     this.trialNumber = 0;
     this.currentTile = null;
-    this.colorGenerator = new ColorSequenceGenerator(this.n, this.colors);
-    this.matchGenerator = new MatchGenerator(0.30);
+    this.colorGenerator = new ColorSequenceGenerator(this.n, this.colors, this.rng, this.chunkPatterns);
+    this.matchGenerator = new MatchGenerator(0.30, this.rng);
+    this.blockSolver = new BlockSequenceSolver(this.n, this.colorGenerator);
+    this.clearBlock();
     this.abilityModel.reset();
-    this.difficultyController = new DifficultyController(this.n);
+    this.difficultyController = new DifficultyController(this.n, this.colors.length);
     this.sprtStopper.reset();
+    this.masterySPRT.reset();
+    this.confusionTracker = new ConfusionTracker();
+    this.sequenceAuditor = new SequenceAuditor(this.n, this.chunkPatterns);
+    this.rhythmTracker = new RhythmExploitTracker();
+    this.forgettingCurve = new ForgettingCurve();
+    this.breakProbe = null;
+    this.transfer = null;
   }
 
   // Apply persisted profile data after a fresh reset.
@@ -1367,12 +2939,20 @@ class WorkingMemoryTrainer {
 
     if (strategic) {
       if (strategic.theta !== undefined) ab.theta = strategic.theta;
+      if (strategic.thetaVariance !== undefined) ab.thetaVariance = strategic.thetaVariance;
       if (strategic.totalTrials !== undefined) ab.totalTrials = strategic.totalTrials;
       if (strategic.targetEntropy !== undefined) dc.targetEntropy = strategic.targetEntropy;
       if (strategic.tse !== undefined) dc.tse = strategic.tse;
       if (strategic.currentUniqueColors !== undefined) dc.currentUniqueColors = strategic.currentUniqueColors;
       if (strategic.integral !== undefined) dc.integral = strategic.integral;
       if (strategic.matchRate !== undefined) dc.matchRate = strategic.matchRate;
+      if (strategic.lureRate !== undefined) dc.lureRate = strategic.lureRate;
+      if (strategic.similarityBias !== undefined) dc.similarityBias = strategic.similarityBias;
+      if (strategic.confusionPairs !== undefined) this.confusionTracker.restore(strategic.confusionPairs);
+      if (strategic.rhythmExploit !== undefined) this.rhythmTracker.restore(strategic.rhythmExploit);
+      if (strategic.forgettingCurve !== undefined) this.forgettingCurve.restore(strategic.forgettingCurve);
+      if (strategic.breakProbe !== undefined) this.breakProbe = cloneState(strategic.breakProbe);
+      if (strategic.transfer !== undefined) this.transfer = cloneState(strategic.transfer);
       if (strategic.fallbackCount !== undefined) dc.fallbackCount = strategic.fallbackCount;
       if (strategic.sustainDoubled !== undefined) dc.sustainDoubled = strategic.sustainDoubled;
     }
@@ -1384,11 +2964,253 @@ class WorkingMemoryTrainer {
       if (recency.stepHoldCounter !== undefined) dc.stepHoldCounter = recency.stepHoldCounter;
       if (recency.pendingUniqueColors !== undefined) dc.pendingUniqueColors = recency.pendingUniqueColors;
     }
+
+    // Level seeded from the one below: its scaled RTs stand in until this
+    // level has RTs of its own
+    if (this.transfer && !this.transfer.result && ab.rtWindow.length === 0 && Array.isArray(this.transfer.rtWindow)) {
+      ab.rtWindow = this.transfer.rtWindow.slice();
+    }
   }
 
   getCurrentN() {
     return this.n;
   }
+
+  // Complete mid round state, unlike warmStart() which only carries what
+  // should survive between rounds. The shared rng is saved by the engine.
+  getState() {
+    const cg = this.colorGenerator;
+    return {
+      trialNumber: this.trialNumber,
+      currentTile: cloneState(this.currentTile),
+      lastTrialCorrect: this.lastTrialCorrect,
+      excludedPositions: cloneState(this.excludedPositions),
+      recentPositions: cloneState(this.recentPositions),
+      abilityModel: captureFields(this.abilityModel),
+      difficultyController: captureFields(this.difficultyController),
+      sprtStopper: captureFields(this.sprtStopper),
+      masterySPRT: captureFields(this.masterySPRT),
+      confusionPairs: this.confusionTracker.toJSON(),
+      sequenceAudit: cloneState(this.sequenceAuditor.trials),
+      rhythmExploit: this.rhythmTracker.toJSON(),
+      forgettingCurve: this.forgettingCurve.toJSON(),
+      breakProbe: cloneState(this.breakProbe),
+      transfer: cloneState(this.transfer),
+      colorGenerator: captureFields(cg, ['rng', 'memoryState', 'distances', 'availableColors', 'transitionModel']),
+      memoryState: captureFields(cg.memoryState),
+      matchGenerator: captureFields(this.matchGenerator, ['rng']),
+      block: cloneState(this.block),
+      blockIndex: this.blockIndex
+    };
+  }
+
+  setState(state) {
+    this.trialNumber = state.trialNumber;
+    this.currentTile = cloneState(state.currentTile);
+    this.lastTrialCorrect = state.lastTrialCorrect;
+    this.excludedPositions = cloneState(state.excludedPositions) || [];
+    this.recentPositions = cloneState(state.recentPositions) || [];
+    restoreFields(this.abilityModel, state.abilityModel);
+    restoreFields(this.difficultyController, state.difficultyController);
+    restoreFields(this.sprtStopper, state.sprtStopper);
+    restoreFields(this.masterySPRT, state.masterySPRT);
+    this.confusionTracker.restore(state.confusionPairs);
+    this.sequenceAuditor.trials = cloneState(state.sequenceAudit) || [];
+    this.rhythmTracker.restore(state.rhythmExploit);
+    this.forgettingCurve.restore(state.forgettingCurve);
+    this.breakProbe = cloneState(state.breakProbe) || null;
+    this.transfer = cloneState(state.transfer) || null;
+    restoreFields(this.colorGenerator, state.colorGenerator);
+    restoreFields(this.colorGenerator.memoryState, state.memoryState);
+    restoreFields(this.matchGenerator, state.matchGenerator);
+    this.block = cloneState(state.block) || null;
+    this.blockIndex = state.blockIndex || 0;
+  }
+}
+
+// ============================================================================
+// STATE SNAPSHOTS (mid round suspend / resume)
+// ============================================================================
+
+// Component state is plain data (numbers, strings, arrays, objects), so a
+// JSON round trip is a deep copy
+function cloneState(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Copy of every own field of a component except `skip` (shared or derived)
+function captureFields(obj, skip = []) {
+  const state = {};
+  for (const key of Object.keys(obj)) {
+    if (skip.includes(key)) continue;
+    state[key] = cloneState(obj[key]);
+  }
+  return state;
+}
+
+function restoreFields(obj, state) {
+  if (!state) return;
+  for (const key of Object.keys(state)) {
+    obj[key] = cloneState(state[key]);
+  }
+}
+
+// Snapshot written by NBackEngine.snapshot()
+const SNAPSHOT_SCHEMA_VERSION = 1;
+
+// ============================================================================
+// SCHEMA MIGRATIONS (versioned persisted data)
+// ============================================================================
+
+// Bring persisted data to currentVersion by running migrations[v] for every
+// version v below it (migrations[v] turns version v into v + 1). Data without
+// a schemaVersion field (bare arrays included) is version 1.
+// Throws when the data is newer than this code understands.
+function migrateSchema(data, currentVersion, migrations) {
+  const hasVersion = data && typeof data === 'object' && !Array.isArray(data) && data.schemaVersion !== undefined;
+  let version = hasVersion ? data.schemaVersion : 1;
+
+  if (version > currentVersion) {
+    throw new Error(`schema version ${version} is newer than supported ${currentVersion}`);
+  }
+
+  let migrated = data;
+  while (version < currentVersion) {
+    if (!migrations[version]) throw new Error(`no migration from schema version ${version}`);
+    migrated = migrations[version](migrated);
+    version++;
+    migrated.schemaVersion = version;
+  }
+  return migrated;
+}
+
+// Profile written by NBackEngine.toJSON()
+const PROFILE_SCHEMA_VERSION = 4;
+
+const PROFILE_MIGRATIONS = {
+  // v1 -> v2: unversioned profiles. Fields added since then start neutral,
+  // theta gets a moderate variance (it has history behind it, but was never
+  // tracked with an uncertainty)
+  1: profile => {
+    if (!profile.strategic || typeof profile.strategic !== 'object') {
+      throw new Error('profile has no strategic block');
+    }
+    const strategic = profile.strategic;
+    if (strategic.thetaVariance === undefined) strategic.thetaVariance = 0.25;
+    if (strategic.lureRate === undefined) strategic.lureRate = 0;
+    if (strategic.similarityBias === undefined) strategic.similarityBias = 0;
+    if (strategic.confusionPairs === undefined) strategic.confusionPairs = {};
+    return profile;
+  },
+  // v2 -> v3: rhythm exploit counts start empty
+  2: profile => {
+    if (profile.strategic.rhythmExploit === undefined) {
+      profile.strategic.rhythmExploit = { rhythmic: { trials: 0, correct: 0 }, other: { trials: 0, correct: 0 } };
+    }
+    return profile;
+  },
+  // v3 -> v4: no breaks observed yet, the fixed decay applies
+  3: profile => {
+    if (profile.strategic.forgettingCurve === undefined) {
+      profile.strategic.forgettingCurve = { observations: [] };
+    }
+    if (profile.strategic.breakProbe === undefined) profile.strategic.breakProbe = null;
+    return profile;
+  }
+};
+
+// Migrate and sanity check a stored profile. Throws with a readable reason
+// when the profile cannot be used, the caller decides how to report it.
+function migrateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error('profile is not an object');
+  }
+
+  const migrated = migrateSchema(profile, PROFILE_SCHEMA_VERSION, PROFILE_MIGRATIONS);
+  const strategic = migrated.strategic;
+  if (!strategic || typeof strategic !== 'object') {
+    throw new Error('profile has no strategic block');
+  }
+  for (const field of ['theta', 'targetEntropy', 'tse', 'currentUniqueColors', 'integral', 'matchRate']) {
+    if (typeof strategic[field] !== 'number' || !isFinite(strategic[field])) {
+      throw new Error(`strategic.${field} is not a number`);
+    }
+  }
+  return migrated;
+}
+
+// ============================================================================
+// CROSS LEVEL TRANSFER (seed a newly unlocked N from the level below)
+// ============================================================================
+
+// d' falls as the window grows: theta is scaled by the ratio of items held
+// (N+1), 2-back 2.4 -> 3-back 1.8. RTs grow with load, ~10% per level.
+const TRANSFER_RT_SCALE_PER_LEVEL = 1.1;
+const TRANSFER_VARIANCE_ADDED = 0.25; // a prediction, not a measurement
+const TRANSFER_MIN_TRIALS = 15;       // valid trials at the new level before reporting
+const NON_RESPONSE_RT = 2500;         // INTERVAL_TIME in main.js, what a non response records
+
+// Median RT of actual clicks (non responses sit at NON_RESPONSE_RT)
+function responseRtMedian(rtWindow) {
+  return medianOf(rtWindow.filter(rt => rt < NON_RESPONSE_RT));
+}
+
+// Profile for toN built from a toJSON() profile of a lower level. Difficulty
+// starts over (K at min, TSE 0: the post level phase system), what
+// describes the player carries over: scaled theta and RTs, color
+// confusions, rhythm habits and the forgetting curve. strategic.transfer
+// keeps the prediction until the first session at toN reports on it.
+function transferProfile(profile, toN) {
+  const fromN = profile.currentN;
+  const source = profile.strategic;
+  const recency = profile.recency || {};
+  const rtScale = Math.pow(TRANSFER_RT_SCALE_PER_LEVEL, toN - fromN);
+  const rtWindow = (recency.rtWindow || []).map(rt => rt < NON_RESPONSE_RT ? rt * rtScale : rt);
+  const trialWindow = recency.trialWindow || [];
+  const predictedTheta = source.theta * (fromN + 1) / (toN + 1);
+
+  return {
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+    currentN: toN,
+    savedAt: Date.now(),
+    rng: profile.rng,
+    strategic: {
+      theta: predictedTheta,
+      thetaVariance: Math.min(1.0, (source.thetaVariance || 0.25) + TRANSFER_VARIANCE_ADDED),
+      targetEntropy: 0,
+      tse: 0,
+      currentUniqueColors: 2,
+      integral: 0,
+      matchRate: 0.30,
+      lureRate: 0,
+      similarityBias: 0,
+      confusionPairs: cloneState(source.confusionPairs) || {},
+      rhythmExploit: cloneState(source.rhythmExploit),
+      forgettingCurve: cloneState(source.forgettingCurve),
+      breakProbe: null,
+      totalTrials: 0,
+      fallbackCount: 0,
+      sustainDoubled: false,
+      transfer: {
+        fromN,
+        theta: source.theta,
+        predictedTheta,
+        criterion: trialWindow.length > 0 ? measureSDT(trialWindow).criterion : null,
+        rtMedian: responseRtMedian(recency.rtWindow || []),
+        predictedRtMedian: responseRtMedian(rtWindow),
+        rtWindow, // seeds the RT profile until the new level has its own
+        result: null
+      }
+    },
+    recency: {}
+  };
+}
+
+function medianOf(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
 // ============================================================================
@@ -1399,21 +3221,131 @@ class NBackEngine {
   constructor(options = {}) {
     this.currentN = options.startN || 2;
     this.colors = options.colors || [];
-    this.trainer = new WorkingMemoryTrainer(this.currentN, this.colors);
+    this.rng = new SeededRandom(options.seed);
+    // chunkPatterns: color n-grams to avoid, defaults to DEFAULT_CHUNK_PATTERNS ([] = off)
+    this.chunkPatterns = options.chunkPatterns || DEFAULT_CHUNK_PATTERNS;
+    this.trainer = new WorkingMemoryTrainer(this.currentN, this.colors, this.rng, this.chunkPatterns);
     this.currentTile = null;
+    this.listeners = {}; // event name -> handlers, see on()
+
+    // Auto N thresholds (see recommendAutoN)
+    this.autoNMinTrials = 30;   // trials on this N before moving off it
+    this.autoNUpTheta = 2.3;    // well above the 1.8 controller target
+    this.autoNUpLoad = 0.75;    // round average load / max load
+    this.autoNDownTheta = 1.0;
+  }
+
+  // ── EVENTS ────────────────────────────────────────────────────────
+  // Subscribe instead of polling getStats():
+  //   trial          tile                                  (generateNextTile)
+  //   response       { userClicked, wasMatch, reactionTime, correct, isValid, rejection, details }
+  //   kChanged       { from, to, reason }
+  //   phaseChanged   { from, to, reason }
+  //   sustainFailed  { from, to, fallbackCount }           (sustain gate reverted K)
+  //   sprtDecision   { from, to, logLR, posteriorBelowH0 }  (SPRT decision flipped)
+  //   masteryDecision { from, to, logLR, evidenceRatio }    (mastery SPRT decision flipped)
+  // reason is 'response', 'sessionStopped' or 'manualStop'.
+  // Returns an unsubscribe function.
+  on(event, handler) {
+    if (!this.listeners[event]) this.listeners[event] = [];
+    this.listeners[event].push(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+  }
+
+  // A throwing listener must not break trial generation
+  emit(event, payload) {
+    const handlers = this.listeners[event];
+    if (!handlers) return;
+    for (const handler of handlers.slice()) {
+      try {
+        handler(payload);
+      } catch (e) {
+        console.error(`NBackEngine ${event} listener failed:`, e);
+      }
+    }
+  }
+
+  // Controller and SPRT state that change events are derived from
+  snapshotForEvents() {
+    const dc = this.trainer.difficultyController;
+    return {
+      k: dc.currentUniqueColors,
+      phase: dc.getPhase(),
+      sustainFailures: dc.sustainFailures,
+      sprtDecision: this.trainer.sprtStopper.decision,
+      masteryDecision: this.trainer.masterySPRT.decision
+    };
+  }
+
+  // Compare against a snapshot taken before a state change and emit events
+  emitChanges(before, reason) {
+    const after = this.snapshotForEvents();
+    const dc = this.trainer.difficultyController;
+    const sprt = this.trainer.sprtStopper;
+
+    if (after.sustainFailures > before.sustainFailures) {
+      this.emit('sustainFailed', { from: before.k, to: after.k, fallbackCount: dc.fallbackCount });
+    }
+    if (after.k !== before.k) {
+      this.emit('kChanged', { from: before.k, to: after.k, reason });
+    }
+    if (after.phase !== before.phase) {
+      this.emit('phaseChanged', { from: before.phase, to: after.phase, reason });
+    }
+    if (after.sprtDecision !== before.sprtDecision) {
+      this.emit('sprtDecision', {
+        from: before.sprtDecision,
+        to: after.sprtDecision,
+        logLR: sprt.logLR,
+        posteriorBelowH0: sprt.getPosteriorBelowH0()
+      });
+    }
+    if (after.masteryDecision !== before.masteryDecision) {
+      const mastery = this.trainer.masterySPRT;
+      this.emit('masteryDecision', {
+        from: before.masteryDecision,
+        to: after.masteryDecision,
+        logLR: mastery.logLR,
+        evidenceRatio: mastery.getEvidenceRatio()
+      });
+    }
+  }
+
+  // Draw from the engine PRNG. Exposed so UI level randomness that shapes
+  // the trial stream (hidden grid cells) replays from the same seed.
+  random() {
+    return this.rng.next();
   }
 
   generateNextTile() {
     this.currentTile = this.trainer.generateNextTrial();
+    this.emit('trial', this.currentTile);
     return this.currentTile;
   }
 
-  onUserResponse(userClicked, wasMatch, reactionTime) {
+  // details: optional per trial context computed by the caller, like
+  // wasMatch it is judged within the current round ({ isLure })
+  onUserResponse(userClicked, wasMatch, reactionTime, details = {}) {
     if (!this.currentTile) {
       throw new Error('No current tile');
     }
 
-    const result = this.trainer.recordResponse(userClicked, wasMatch, reactionTime);
+    const before = this.snapshotForEvents();
+    const result = this.trainer.recordResponse(userClicked, wasMatch, reactionTime, details);
+
+    this.emit('response', {
+      userClicked, wasMatch, reactionTime,
+      correct: result.correct,
+      isValid: result.isValid,
+      rejection: result.rejection,
+      details
+    });
+    this.emitChanges(before, 'response');
     return result;
   }
 
@@ -1421,6 +3353,30 @@ class NBackEngine {
     return this.currentN;
   }
 
+  // Auto N (Jaeggi style block adaptation): between rounds, move N up when
+  // theta is high while the round already ran near full color load, and
+  // down when theta is low even though K is already at its minimum (the
+  // controller has nothing left to make easier). loadRatio is the round
+  // average load / max load. Returns { n, direction } within 1..maxN.
+  recommendAutoN(loadRatio, maxN) {
+    const ab = this.trainer.abilityModel;
+    const dc = this.trainer.difficultyController;
+    const theta = ab.theta;
+
+    // Not enough evidence yet (a fresh profile sits on the 1.5 prior)
+    if (ab.totalTrials < this.autoNMinTrials) return { n: this.currentN, direction: 0 };
+
+    if (theta >= this.autoNUpTheta && loadRatio >= this.autoNUpLoad && this.currentN < maxN) {
+      return { n: this.currentN + 1, direction: 1 };
+    }
+
+    if (theta < this.autoNDownTheta && dc.currentUniqueColors <= dc.minUniqueColors && this.currentN > 1) {
+      return { n: this.currentN - 1, direction: -1 };
+    }
+
+    return { n: this.currentN, direction: 0 };
+  }
+
   setExcludedPositions(positions) {
     this.trainer.setExcludedPositions(positions);
   }
@@ -1428,8 +3384,10 @@ class NBackEngine {
   // Cleanup helper when a session is stopped for poor performance.
   // Resets SPRT and eases difficulty so the next round starts gentler.
   onPoorPerformanceStop() {
+    const before = this.snapshotForEvents();
     this.trainer.difficultyController.onSessionStopped();
     this.trainer.sprtStopper.reset();
+    this.emitChanges(before, 'sessionStopped');
   }
 
   // Check if SPRT says we should stop the session.
@@ -1445,13 +3403,15 @@ class NBackEngine {
   // Fallback if SPRT based session stop didnt fire.
   // Checks if recent trials show too many errors.
   shouldStopForErrors(recentTrials, errorThreshold = 5) {
-    const respondedTrials = recentTrials.filter(t => t.wasMatch !== null);
-    if (respondedTrials.length < recentTrials.length - 1) return false;
+    // Rejected trials (trial.rejected, see classifyTrial) are no errors
+    const scoredTrials = recentTrials.filter(t => !t.rejected);
+    const respondedTrials = scoredTrials.filter(t => t.wasMatch !== null);
+    if (respondedTrials.length < scoredTrials.length - 1) return false;
 
     const errors = respondedTrials.filter(t => {
       const isFalsePositive = t.userClicked && !t.wasMatch;
       const isMissedTarget = !t.userClicked && t.wasMatch;
-      return isFalsePositive || isMissedTarget;
+      return isFalsePositive || isMissedTarget || !!t.omission; // omission: two button mode
     }).length;
 
     if (errors >= errorThreshold) {
@@ -1492,12 +3452,74 @@ class NBackEngine {
     return severity;
   }
 
+  // Sequence audit covers one round: call when a new round starts
+  startRoundAudit() {
+    this.trainer.sequenceAuditor.reset();
+  }
+
+  getRoundAudit() {
+    return this.trainer.sequenceAuditor.getReport();
+  }
+
+  // Mastery SPRT reports per round: call when a new round starts
+  startMasteryTest() {
+    const before = this.snapshotForEvents();
+    this.trainer.masterySPRT.startRound();
+    this.emitChanges(before, 'roundStart');
+  }
+
+  // Mastery SPRT accepted strong performance near max load this round
+  isMastered() {
+    return this.trainer.masterySPRT.isMastered();
+  }
+
+  // True once mastery is accepted and the round has run long enough to end
+  // it early. roundTrials: trials played this round.
+  shouldFinishForMastery(roundTrials) {
+    const mastery = this.trainer.masterySPRT;
+    return mastery.isMastered() && roundTrials >= mastery.earlyFinishTrials;
+  }
+
+  getMasteryStatus() {
+    return this.trainer.masterySPRT.getStatus();
+  }
+
+  // Block mode: plan the next `length` trials up front (exact target and
+  // lure counts, see BlockSequenceSolver). Call when a new round starts.
+  // Returns { targets, lures, lureSlack, targetK } or null if no plan was
+  // found, the round then falls back to trial by trial generation.
+  startBlock(length) {
+    const block = this.trainer.startBlock(length);
+    if (!block) return null;
+    return { targets: block.targets, lures: block.lures, lureSlack: block.lureSlack, targetK: block.targetK };
+  }
+
+  // Back to trial by trial generation (drops what is left of a plan)
+  clearBlock() {
+    this.trainer.clearBlock();
+  }
+
+  // Progress of the planned round, null outside block mode
+  getBlockStatus() {
+    const block = this.trainer.block;
+    if (!block) return null;
+    return {
+      index: this.trainer.blockIndex,
+      length: block.length,
+      targets: block.targets,
+      lures: block.lures,
+      lureSlack: block.lureSlack,
+      targetK: block.targetK
+    };
+  }
+
   // Apply scaled difficulty reduction for manual stops that appear difficulty related.
   onManualStop() {
     const severity = this.assessManualStop();
     if (severity === 0) return false; // neutral stop, no adjustment
 
     const dc = this.trainer.difficultyController;
+    const before = this.snapshotForEvents();
 
     // Scale the onSessionStopped adjustments by severity
     dc.targetEntropy = Math.max(0, dc.targetEntropy * (1 - 0.5 * severity));
@@ -1509,10 +3531,13 @@ class NBackEngine {
     dc.integral *= (1 - severity);
     dc.matchRate = Math.min(0.40, dc.matchRate + 0.05 * severity);
     dc.tse = Math.max(0, dc.tse * (1 - 0.7 * severity));
+    dc.lureRate = dc.lureRate * (1 - severity);
+    dc.similarityBias = dc.similarityBias * (1 - severity);
     dc.kIncreaseCooldown = 0;
 
     // Reset SPRT for next round
     this.trainer.sprtStopper.reset();
+    this.emitChanges(before, 'manualStop');
 
     return true; // adjustments were applied
   }
@@ -1527,19 +3552,38 @@ class NBackEngine {
 
       // New metrics
       theta: stats.theta,
+      thetaVariance: stats.thetaVariance,
+      thetaLower: stats.thetaLower,
+      thetaUpper: stats.thetaUpper,
       thetaTrend: stats.thetaTrend,
       flowScore: stats.flowScore,
       fatigueIndex: stats.fatigueIndex,
       targetEntropy: stats.targetEntropy,
       windowEntropy: stats.windowEntropy,
       matchRate: stats.matchRate,
+      lureRate: stats.lureRate,
+      similarityBias: stats.similarityBias,
+      confusion: stats.confusion,
+      confusionPairs: stats.confusionPairs,
+      rhythmExploit: stats.rhythmExploit,
+      forgetting: stats.forgetting,
+      transfer: stats.transfer,
       stimulusInterval: stats.stimulusInterval,
       tse: stats.tse,
+      transitionEntropy: stats.transitionEntropy,
+      transitionMix: stats.transitionMix,
       sprtStatus: stats.sprtStatus,
+      mastery: stats.mastery,
 
       // Ability detail
       rtMedian: stats.rtMedian,
       rtCV: stats.rtCV,
+      lureFalseAlarms: stats.lureFalseAlarms,
+      omissionRate: stats.omissionRate,
+      lureFaRate: stats.lureFaRate,
+      ordinaryFaRate: stats.ordinaryFaRate,
+      criterion: stats.criterion,
+      logBeta: stats.logBeta,
 
       workingMemory: {
         currentLoad: stats.currentLoad,
@@ -1562,24 +3606,109 @@ class NBackEngine {
     this.trainer.reset();
   }
 
-  warmStart(strategic, recency) {
+  // rngState is optional: restoring it continues the saved random stream
+  // instead of starting a new one from this engine's seed.
+  warmStart(strategic, recency, rngState) {
     this.currentTile = null;
     this.trainer.warmStart(strategic, recency);
+    if (rngState) this.rng.setState(rngState);
+  }
+
+  // First sessions on a level seeded by transferProfile: how well the
+  // prediction held, once TRANSFER_MIN_TRIALS valid trials were played here.
+  // Reports once (the result stays in the profile), null otherwise.
+  assessTransfer() {
+    const transfer = this.trainer.transfer;
+    if (!transfer || transfer.result) return null;
+    const ab = this.trainer.abilityModel;
+    if (ab.totalTrials < TRANSFER_MIN_TRIALS) return null;
+
+    // Measured from this level's own window, theta itself leans on the prediction
+    const window = ab.trialWindow.slice(-Math.min(ab.totalTrials, ab.windowSize));
+    const measured = measureSDT(window);
+    const measuredRtMedian = responseRtMedian(ab.rtWindow.slice(-ab.totalTrials));
+    transfer.result = {
+      trials: window.length,
+      measuredTheta: measured.dPrime,
+      thetaError: measured.dPrime - transfer.predictedTheta,
+      measuredCriterion: measured.criterion,
+      measuredRtMedian,
+      rtError: measuredRtMedian !== null && transfer.predictedRtMedian !== null
+        ? measuredRtMedian - transfer.predictedRtMedian : null,
+      at: Date.now()
+    };
+    transfer.rtWindow = []; // this level has RTs of its own now
+    return {
+      fromN: transfer.fromN,
+      toN: this.currentN,
+      predictedTheta: transfer.predictedTheta,
+      criterion: transfer.criterion,
+      predictedRtMedian: transfer.predictedRtMedian,
+      ...transfer.result
+    };
+  }
+
+  // After warmStart across a break: measure theta over the next trials and
+  // add the break to the forgetting curve. thetaBefore is the saved theta.
+  startBreakProbe(gapHours, thetaBefore, varianceBefore) {
+    this.trainer.startBreakProbe(gapHours, thetaBefore, varianceBefore);
+  }
+
+  // Everything needed to continue the round from the exact trial it
+  // stopped at: the saved random stream replays the same tiles.
+  snapshot() {
+    return {
+      schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+      currentN: this.currentN,
+      colors: this.colors.map(c => c.name),
+      savedAt: Date.now(),
+      rng: this.rng.getState(),
+      currentTile: cloneState(this.currentTile),
+      trainer: this.trainer.getState()
+    };
+  }
+
+  // Restore a snapshot() into this engine. It must be built for the same N
+  // and palette, throws with a readable reason otherwise.
+  restoreSnapshot(snapshot) {
+    const data = migrateSchema(snapshot, SNAPSHOT_SCHEMA_VERSION, {});
+    if (data.currentN !== this.currentN) {
+      throw new Error(`snapshot is for ${data.currentN}-back, engine runs ${this.currentN}-back`);
+    }
+    const names = this.colors.map(c => c.name);
+    if (!Array.isArray(data.colors) || data.colors.join(',') !== names.join(',')) {
+      throw new Error('snapshot was taken with a different palette');
+    }
+    if (!data.trainer) throw new Error('snapshot has no trainer state');
+
+    this.trainer.setState(data.trainer);
+    this.rng.setState(data.rng);
+    this.currentTile = cloneState(data.currentTile) || null;
   }
 
   toJSON() {
     const ab = this.trainer.abilityModel;
     const dc = this.trainer.difficultyController;
     return {
+      schemaVersion: PROFILE_SCHEMA_VERSION,
       currentN: this.currentN,
       savedAt: Date.now(),
+      rng: this.rng.getState(),
       strategic: {
         theta: ab.theta,
+        thetaVariance: ab.thetaVariance,
         targetEntropy: dc.targetEntropy,
         tse: dc.tse,
         currentUniqueColors: dc.currentUniqueColors,
         integral: dc.integral,
         matchRate: dc.matchRate,
+        lureRate: dc.lureRate,
+        similarityBias: dc.similarityBias,
+        confusionPairs: this.trainer.confusionTracker.toJSON(),
+        rhythmExploit: this.trainer.rhythmTracker.toJSON(),
+        forgettingCurve: this.trainer.forgettingCurve.toJSON(),
+        breakProbe: cloneState(this.trainer.breakProbe),
+        transfer: cloneState(this.trainer.transfer),
         totalTrials: ab.totalTrials,
         fallbackCount: dc.fallbackCount,
         sustainDoubled: dc.sustainDoubled
@@ -1604,6 +3733,31 @@ if (typeof module !== 'undefined' && module.exports) {
     AbilityModel,
     DifficultyController,
     SPRTStopper,
-    computeDPrime
+    MasterySPRT,
+    ConfusionTracker,
+    RhythmExploitTracker,
+    ForgettingCurve,
+    TransitionModel,
+    BlockSequenceSolver,
+    SequenceAuditor,
+    DEFAULT_CHUNK_PATTERNS,
+    expandChunkPatterns,
+    SeededRandom,
+    transferProfile,
+    measureSDT,
+    migrateSchema,
+    migrateProfile,
+    PROFILE_SCHEMA_VERSION,
+    SNAPSHOT_SCHEMA_VERSION,
+    computeDPrime,
+    computeCriterion,
+    BIAS_CRITERION_THRESHOLD,
+    THETA_PRIOR_VARIANCE,
+    computeDPrimeVariance,
+    inverseNormalCDF,
+    hexToLab,
+    ciede2000,
+    colorDistance,
+    normalCDF
   };
 }
@@ -0,0 +1,265 @@
+/**
+ * Author: BrainZag
+ * Repository: https://github.com/rqp314/BrainZag
+ * License: See LICENSE file
+ * Copyright (c) 2026 BrainZag
+ *
+ * Color palettes: built in sets (default, colorblind safe, high contrast,
+ * extended) and user defined palettes checked for perceptual distance
+ *
+*/
+
+// ------------------ Built-in Palettes ------------------
+
+const DEFAULT_PALETTE_ID = "default";
+const MIN_PALETTE_SIZE = 4;      // min K is 2 and the generator needs spare colors to swap in
+const MAX_PALETTE_SIZE = 12;
+const MIN_PALETTE_DELTA_E = 12;  // CIEDE2000, closest default pair (blue / purple) is ~13.6
+const PALETTE_NAME_PATTERN = /^[\p{L}\p{N} -]+$/u;  // names end up in tooltips and the trial history
+
+// Colorblind sets were checked with Machado 2009 full severity simulation,
+// the closest simulated pair stays above ~11 CIEDE2000 for the target type.
+// The default palette drops to ~3 (brown / red) for protanopes.
+const BUILTIN_PALETTES = [
+    {
+        id: "default",
+        label: "Default",
+        colors: [
+            { color: "#0000FF", name: "blue" },
+            { color: "#9D00FF", name: "purple" },
+            { color: "#23AE3A", name: "green" },
+            { color: "#FFDE21", name: "yellow" },
+            { color: "#FFA500", name: "orange" },
+            { color: "#895129", name: "brown" },
+            { color: "#CD1C18", name: "red" },
+            { color: "#0C0A09", name: "black" }
+        ]
+    },
+    {
+        // Okabe and Ito (2008)
+        id: "deuteranopia",
+        label: "Deuteranopia safe",
+        colors: [
+            { color: "#0072B2", name: "blue" },
+            { color: "#56B4E9", name: "sky" },
+            { color: "#009E73", name: "green" },
+            { color: "#F0E442", name: "yellow" },
+            { color: "#E69F00", name: "orange" },
+            { color: "#D55E00", name: "vermillion" },
+            { color: "#CC79A7", name: "pink" },
+            { color: "#000000", name: "black" }
+        ]
+    },
+    {
+        // Paul Tol "bright" scheme
+        id: "protanopia",
+        label: "Protanopia safe",
+        colors: [
+            { color: "#4477AA", name: "blue" },
+            { color: "#66CCEE", name: "cyan" },
+            { color: "#228833", name: "green" },
+            { color: "#CCBB44", name: "yellow" },
+            { color: "#EE6677", name: "red" },
+            { color: "#AA3377", name: "purple" },
+            { color: "#BBBBBB", name: "grey" },
+            { color: "#000000", name: "black" }
+        ]
+    },
+    {
+        // Only the red / green and lightness axes: tritanopes confuse blue
+        // with green and yellow with violet
+        id: "tritanopia",
+        label: "Tritanopia safe",
+        colors: [
+            { color: "#A50026", name: "darkred" },
+            { color: "#F46D43", name: "red" },
+            { color: "#FDAEAE", name: "pink" },
+            { color: "#1B7837", name: "teal" },
+            { color: "#A6DBA0", name: "mint" },
+            { color: "#878787", name: "grey" },
+            { color: "#F0F0F0", name: "white" },
+            { color: "#000000", name: "black" }
+        ]
+    },
+    {
+        id: "highContrast",
+        label: "High contrast",
+        colors: [
+            { color: "#0000FF", name: "blue" },
+            { color: "#00FFFF", name: "cyan" },
+            { color: "#00C000", name: "green" },
+            { color: "#FFFF00", name: "yellow" },
+            { color: "#FF8000", name: "orange" },
+            { color: "#FF0000", name: "red" },
+            { color: "#FF00FF", name: "magenta" },
+            { color: "#000000", name: "black" }
+        ]
+    },
+    {
+        id: "extended",
+        label: "Extended (12)",
+        colors: [
+            { color: "#0000FF", name: "blue" },
+            { color: "#9D00FF", name: "purple" },
+            { color: "#23AE3A", name: "green" },
+            { color: "#FFDE21", name: "yellow" },
+            { color: "#FFA500", name: "orange" },
+            { color: "#895129", name: "brown" },
+            { color: "#CD1C18", name: "red" },
+            { color: "#0C0A09", name: "black" },
+            { color: "#FF69B4", name: "pink" },
+            { color: "#00CED1", name: "cyan" },
+            { color: "#9E9E9E", name: "grey" },
+            { color: "#A4E000", name: "lime" }
+        ]
+    }
+];
+
+// Rank is the position in the palette (same as the old hard coded list)
+function withRanks(colors) {
+    return colors.map((c, i) => ({ color: c.color, rank: i + 1, name: c.name }));
+}
+
+// ------------------ Validation ------------------
+
+// Accepts #RGB or #RRGGBB (with or without #), returns "#RRGGBB" or null
+function normalizeHex(value) {
+    const hex = String(value).trim().replace(/^#/, "");
+    if (/^[0-9a-fA-F]{3}$/.test(hex)) {
+        return "#" + hex.split("").map(ch => ch + ch).join("").toUpperCase();
+    }
+    if (/^[0-9a-fA-F]{6}$/.test(hex)) {
+        return "#" + hex.toUpperCase();
+    }
+    return null;
+}
+
+// Parse "#0000FF blue, #FFDE21 yellow, ..." (names optional)
+// Returns { colors, errors }
+function parsePaletteText(text) {
+    const colors = [];
+    const errors = [];
+    const entries = text.split(/[,\n]/).map(e => e.trim()).filter(e => e.length > 0);
+
+    entries.forEach((entry, i) => {
+        const [hexPart, ...nameParts] = entry.split(/\s+/);
+        const color = normalizeHex(hexPart);
+        if (!color) {
+            errors.push(`"${hexPart}" is not a hex color`);
+            return;
+        }
+        const name = nameParts.length > 0 ? nameParts.join(" ").toLowerCase() : `color${i + 1}`;
+        if (!PALETTE_NAME_PATTERN.test(name)) {
+            errors.push(`"${name}" can only use letters, digits, spaces and dashes`);
+            return;
+        }
+        colors.push({ color, name });
+    });
+
+    return { colors, errors };
+}
+
+// Check size, unique names and colors, and the closest pair's CIEDE2000
+// distance. Returns { valid, errors, closestPair }
+function validatePalette(colors) {
+    const errors = [];
+
+    if (colors.length < MIN_PALETTE_SIZE || colors.length > MAX_PALETTE_SIZE) {
+        errors.push(`A palette needs ${MIN_PALETTE_SIZE} to ${MAX_PALETTE_SIZE} colors`);
+    }
+
+    const names = new Set(colors.map(c => c.name));
+    if (names.size !== colors.length) {
+        errors.push("Color names must be unique");
+    }
+
+    let closestPair = null;
+    for (let i = 0; i < colors.length; i++) {
+        for (let j = i + 1; j < colors.length; j++) {
+            const distance = colorDistance(colors[i].color, colors[j].color);
+            if (!closestPair || distance < closestPair.distance) {
+                closestPair = { a: colors[i].name, b: colors[j].name, distance };
+            }
+        }
+    }
+
+    if (closestPair && closestPair.distance < MIN_PALETTE_DELTA_E) {
+        errors.push(`${closestPair.a} and ${closestPair.b} look too similar (ΔE ${closestPair.distance.toFixed(1)}, need ${MIN_PALETTE_DELTA_E})`);
+    }
+
+    return { valid: errors.length === 0, errors, closestPair };
+}
+
+// ------------------ Storage ------------------
+
+let customPalettes = []; // [{ id, label, colors }]
+
+function loadCustomPalettes() {
+    try {
+        const saved = localStorage.getItem("customPalettes");
+        customPalettes = saved ? JSON.parse(saved) : [];
+    } catch (e) {
+        console.error("Failed to load custom palettes:", e);
+        customPalettes = [];
+    }
+}
+
+function saveCustomPalettes() {
+    try {
+        localStorage.setItem("customPalettes", JSON.stringify(customPalettes));
+    } catch (e) {
+        console.error("Failed to save custom palettes:", e);
+    }
+}
+
+// Validate and store a new custom palette. Returns { palette, errors }
+function addCustomPalette(text) {
+    const parsed = parsePaletteText(text);
+    if (parsed.errors.length > 0) return { palette: null, errors: parsed.errors };
+
+    const validation = validatePalette(parsed.colors);
+    if (!validation.valid) return { palette: null, errors: validation.errors };
+
+    const palette = {
+        id: `custom-${Date.now()}`,
+        label: `Custom ${customPalettes.length + 1}`,
+        colors: parsed.colors
+    };
+    customPalettes.push(palette);
+    saveCustomPalettes();
+    return { palette, errors: [] };
+}
+
+function removeCustomPalette(id) {
+    customPalettes = customPalettes.filter(p => p.id !== id);
+    saveCustomPalettes();
+}
+
+function getAllPalettes() {
+    return [...BUILTIN_PALETTES, ...customPalettes];
+}
+
+// Falls back to the default palette for unknown ids (deleted custom palette)
+function getPalette(id) {
+    const palette = getAllPalettes().find(p => p.id === id) || BUILTIN_PALETTES[0];
+    return { id: palette.id, label: palette.label, colors: withRanks(palette.colors) };
+}
+
+function loadSelectedPaletteId() {
+    try {
+        return localStorage.getItem("selectedPalette") || DEFAULT_PALETTE_ID;
+    } catch (e) {
+        console.error("Failed to load selected palette:", e);
+        return DEFAULT_PALETTE_ID;
+    }
+}
+
+function saveSelectedPaletteId(id) {
+    try {
+        localStorage.setItem("selectedPalette", id);
+    } catch (e) {
+        console.error("Failed to save selected palette:", e);
+    }
+}
+
+loadCustomPalettes();
@@ -0,0 +1,281 @@
+/**
+ * Author: BrainZag
+ * Repository: https://github.com/rqp314/BrainZag
+ * License: See LICENSE file
+ * Copyright (c) 2026 BrainZag
+ *
+ * Headless simulator: drives NBackEngine with synthetic players so the
+ * DifficultyController gains, climb rates, sustain gates and phase
+ * thresholds can be tuned offline instead of with the localhost autopilot.
+ *
+ * Usage: node simulator.js [--n=3] [--sessions=20] [--seed=1] [--player=average] [--block] [--json]
+ *
+*/
+
+const { NBackEngine, SeededRandom, normalCDF, colorDistance } = require('./nbackEngine.js');
+
+// Default palette from palettes.js (hex values drive the similarity knob)
+const SIM_COLORS = [
+  ['blue', '#0000FF'], ['purple', '#9D00FF'], ['green', '#23AE3A'], ['yellow', '#FFDE21'],
+  ['orange', '#FFA500'], ['brown', '#895129'], ['red', '#CD1C18'], ['black', '#0C0A09']
+].map(([name, color], i) => ({ color, rank: i + 1, name }));
+const SIM_HEX = Object.fromEntries(SIM_COLORS.map(c => [c.name, c.color]));
+
+const TRIALS_PER_SESSION = 40;  // TOTAL_ROUNDS in main.js
+const BASE_INTERVAL = 2500;     // INTERVAL_TIME in main.js
+const TARGET_THETA = 1.8;       // DifficultyController.targetTheta
+
+// ============================================================================
+// MATH HELPERS
+// ============================================================================
+
+// Standard normal sample via Box Muller
+function normalSample(rng) {
+  const u1 = Math.max(1e-12, rng.next());
+  const u2 = rng.next();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+// ============================================================================
+// SYNTHETIC PLAYER
+// ============================================================================
+
+// Equal variance SDT observer with a load dependent sensitivity.
+// d' stays at dPrime up to `capacity` unique colors and drops by
+// overloadPenalty for every color above it (or follows dPrimeByK when given).
+// Criterion c shifts clicking: negative = trigger happy, positive = conservative.
+// Lures cost lureSusceptibility of d' (familiarity pulls toward a click).
+// A shown color close to the n back color costs up to similaritySusceptibility
+// of d' (scaled by 1 - CIEDE2000 / 50).
+class SyntheticPlayer {
+  constructor(config = {}) {
+    this.name = config.name || 'player';
+    this.dPrime = config.dPrime !== undefined ? config.dPrime : 2.4;
+    this.capacity = config.capacity !== undefined ? config.capacity : 3;
+    this.overloadPenalty = config.overloadPenalty !== undefined ? config.overloadPenalty : 0.8;
+    this.dPrimeByK = config.dPrimeByK || null;   // optional { K: d' } table
+    this.criterion = config.criterion || 0;
+    this.rtMedian = config.rtMedian || 750;      // ms at minimum load
+    this.rtSigma = config.rtSigma || 0.25;       // lognormal spread
+    this.rtPerColor = config.rtPerColor || 40;   // ms slower per extra unique color
+    this.fatigueDrift = config.fatigueDrift || 0; // d' lost per trial inside a session
+    this.learningRate = config.learningRate || 0; // capacity gained per session
+    this.lapseRate = config.lapseRate || 0;      // chance of a random response
+    this.lureSusceptibility = config.lureSusceptibility !== undefined ? config.lureSusceptibility : 0.3;
+    this.similaritySusceptibility = config.similaritySusceptibility !== undefined ? config.similaritySusceptibility : 0.3;
+  }
+
+  // True sensitivity at load K, before fatigue
+  sensitivityAt(k) {
+    if (this.dPrimeByK && this.dPrimeByK[k] !== undefined) return this.dPrimeByK[k];
+    return this.dPrime - this.overloadPenalty * Math.max(0, k - this.capacity);
+  }
+
+  // Highest K where the player still reaches the controller target,
+  // this is where a well tuned controller should settle
+  trueCapacityK(minK, maxK) {
+    let best = minK;
+    for (let k = minK; k <= maxK; k++) {
+      if (this.sensitivityAt(k) >= TARGET_THETA) best = k;
+    }
+    return best;
+  }
+
+  respond(tile, isMatch, trialInSession, rng) {
+    const k = tile.targetUniqueColors;
+    let dPrime = Math.max(0, this.sensitivityAt(k) - this.fatigueDrift * trialInSession);
+    if (tile.isLure && !isMatch) dPrime *= 1 - this.lureSusceptibility;
+    if (!isMatch && tile.nBackColor && SIM_HEX[tile.nBackColor]) {
+      const closeness = Math.max(0, 1 - colorDistance(SIM_HEX[tile.color], SIM_HEX[tile.nBackColor]) / 50);
+      dPrime *= 1 - this.similaritySusceptibility * closeness;
+    }
+
+    let clicked;
+    if (rng.next() < this.lapseRate) {
+      clicked = rng.next() < 0.5;
+    } else {
+      // Equal variance SDT: P(click) = Phi(+-d'/2 - c)
+      const pClick = isMatch
+        ? normalCDF(dPrime / 2 - this.criterion)
+        : normalCDF(-dPrime / 2 - this.criterion);
+      clicked = rng.next() < pClick;
+    }
+
+    const median = this.rtMedian + this.rtPerColor * Math.max(0, k - 2);
+    const reactionTime = clicked
+      ? median * Math.exp(this.rtSigma * normalSample(rng))
+      : BASE_INTERVAL; // non response, same as ReactionTimer.recordNonResponse
+
+    return { clicked, reactionTime };
+  }
+
+  // Between sessions: practice raises capacity
+  endSession() {
+    this.capacity += this.learningRate;
+  }
+}
+
+const PLAYER_PRESETS = {
+  novice: { name: 'novice', dPrime: 1.9, capacity: 2, overloadPenalty: 0.6, rtMedian: 900 },
+  average: { name: 'average', dPrime: 2.6, capacity: 3, overloadPenalty: 0.8 },
+  strong: { name: 'strong', dPrime: 3.3, capacity: 5, overloadPenalty: 0.7, rtMedian: 600 },
+  liberal: { name: 'liberal', dPrime: 2.4, capacity: 3, criterion: -0.6 },
+  conservative: { name: 'conservative', dPrime: 2.4, capacity: 3, criterion: 0.6 },
+  fatiguing: { name: 'fatiguing', dPrime: 2.8, capacity: 4, fatigueDrift: 0.03 },
+  learner: { name: 'learner', dPrime: 2.6, capacity: 2, learningRate: 0.15 }
+};
+
+// ============================================================================
+// SIMULATION LOOP (mirrors nextStimulus / handleMatch in main.js)
+// ============================================================================
+
+// First index after which the series stays within tolerance of its final
+// value (mean of the last 10%). Returns null if it never settles.
+function settlingIndex(series, tolerance) {
+  if (series.length === 0) return null;
+  const tail = series.slice(-Math.max(1, Math.floor(series.length * 0.1)));
+  const final = tail.reduce((a, b) => a + b, 0) / tail.length;
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (Math.abs(series[i] - final) > tolerance) {
+      return i + 1 < series.length ? i + 1 : null;
+    }
+  }
+  return 0;
+}
+
+function simulatePlayer(playerConfig, options = {}) {
+  const n = options.n || 3;
+  const sessions = options.sessions || 20;
+  const seed = options.seed !== undefined ? options.seed : 1;
+
+  const player = new SyntheticPlayer(playerConfig);
+  const playerRng = new SeededRandom(seed + 7919); // own stream, engine stream stays untouched
+  const engine = new NBackEngine({ startN: n, colors: SIM_COLORS, seed });
+
+  const trace = { k: [], tse: [], theta: [] };
+  let sprtStops = 0;
+  let errorStops = 0;
+  let trialsPlayed = 0;
+
+  for (let s = 0; s < sessions; s++) {
+    const roundTrials = [];
+    if (options.blockMode) engine.startBlock(TRIALS_PER_SESSION);
+
+    for (let i = 0; i < TRIALS_PER_SESSION; i++) {
+      const tile = engine.generateNextTile();
+      const nBackIndex = roundTrials.length - n;
+      const isMatch = nBackIndex >= 0 && roundTrials[nBackIndex].color === tile.color;
+      const trial = { color: tile.color, wasMatch: null, userClicked: null };
+      roundTrials.push(trial);
+
+      // Responses only count once the first n tiles are shown (index > n in main.js)
+      if (i >= n) {
+        const response = player.respond(tile, isMatch, i, playerRng);
+        engine.onUserResponse(response.clicked, isMatch, response.reactionTime, { isLure: tile.isLure && !isMatch });
+        trial.wasMatch = isMatch;
+        trial.userClicked = response.clicked;
+        trialsPlayed++;
+
+        const stats = engine.getStats();
+        trace.k.push(stats.workingMemory.targetUniqueColors);
+        trace.tse.push(stats.tse);
+        trace.theta.push(stats.theta);
+      }
+
+      if (i + 1 >= 10) {
+        if (engine.shouldStopSession()) {
+          sprtStops++;
+          break;
+        }
+        if (engine.shouldStopForErrors(roundTrials.slice(-20))) {
+          errorStops++;
+          break;
+        }
+      }
+    }
+
+    if (s < sessions - 1) player.endSession();
+  }
+
+  const stats = engine.getStats();
+  const minK = stats.workingMemory.minUniqueColors;
+  const maxK = stats.workingMemory.maxUniqueColors;
+  const trueK = player.trueCapacityK(minK, maxK);
+  const finalK = stats.workingMemory.targetUniqueColors;
+
+  return {
+    player: player.name,
+    n,
+    sessions,
+    trialsPlayed,
+    kSettledAt: settlingIndex(trace.k, 1),
+    tseSettledAt: settlingIndex(trace.tse, 0.1),
+    thetaSettledAt: settlingIndex(trace.theta, 0.25),
+    sprtStopRate: sprtStops / sessions,
+    errorStopRate: errorStops / sessions,
+    finalK,
+    trueK,
+    kError: finalK - trueK,
+    finalTheta: stats.theta,
+    thetaError: stats.theta - TARGET_THETA,
+    finalTSE: stats.tse,
+    finalSimilarityBias: stats.similarityBias,
+    closeFaRate: stats.confusion.closeFaRate,
+    farFaRate: stats.confusion.farFaRate
+  };
+}
+
+function runSimulation(options = {}) {
+  const names = options.players || Object.keys(PLAYER_PRESETS);
+  return names.map(name => {
+    const config = PLAYER_PRESETS[name];
+    if (!config) throw new Error(`Unknown player preset: ${name}`);
+    return simulatePlayer(config, options);
+  });
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'n' || key === 'sessions' || key === 'seed') options[key] = parseInt(value);
+    else if (key === 'player') options.players = value.split(',');
+    else if (key === 'block') options.blockMode = true;
+    else if (key === 'json') options.json = true;
+  }
+  return options;
+}
+
+function formatReport(results) {
+  const fmt = (v, digits = 0) => v === null ? '   -' : String(typeof v === 'number' ? v.toFixed(digits) : v).padStart(4);
+  const header = 'player        trials  K@    TSE@  θ@    SPRT  err   K/trueK  ΔK   θ     TSE';
+  const lines = results.map(r =>
+    `${r.player.padEnd(12)}  ${fmt(r.trialsPlayed)}  ${fmt(r.kSettledAt)}  ${fmt(r.tseSettledAt)}  ${fmt(r.thetaSettledAt)}  ` +
+    `${fmt(r.sprtStopRate * 100)}% ${fmt(r.errorStopRate * 100)}% ${r.finalK}/${r.trueK}     ${r.kError >= 0 ? '+' : ''}${r.kError}   ` +
+    `${r.finalTheta.toFixed(2)}  ${r.finalTSE.toFixed(2)}`
+  );
+  return [header, ...lines].join('\n');
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const results = runSimulation(options);
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(`N=${options.n || 3}, ${options.sessions || 20} sessions, seed ${options.seed !== undefined ? options.seed : 1}${options.blockMode ? ', block mode' : ''}`);
+    console.log('K@/TSE@/θ@ = trial index after which the value stays settled\n');
+    console.log(formatReport(results));
+  }
+}
+
+module.exports = {
+  SyntheticPlayer,
+  PLAYER_PRESETS,
+  simulatePlayer,
+  runSimulation
+};
@@ -14,6 +14,7 @@ const ASSETS_TO_CACHE = [
     '/index.html',
     '/main.js',
     '/nbackEngine.js',
+    '/palettes.js',
     '/insights.js',
     '/site.webmanifest',
     '/social-preview.png',